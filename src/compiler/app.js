@@ -0,0 +1,185 @@
+/**
+ * @file 应用实例，一个应用对应一棵组件树，应用中的所有组件共享同一个应用上下文
+ * * 插件、全局组件、全局指令以及全局配置都注册在应用上，不会影响同一页面中的其他应用
+ *
+ * @example
+ * const app = createApp(App, { title: 'hello' });
+ * app.config.errorHandler = (err, instance, info) => report(err, info);
+ * app.use(router).component('MyButton', MyButton).provide('theme', 'dark');
+ * app.mount('#root');
+ */
+
+/**
+ * @description 创建应用上下文，同一个应用中的所有组件共享同一个上下文
+ * * config.errorHandler 用来处理组件中没有被 errorCaptured 拦截的错误
+ * * config.warnHandler 用来接管组件中的警告，未配置时输出到控制台
+ * * config.globalProperties 中的属性可以在任意组件的渲染上下文中通过 this 访问
+ */
+export const createAppContext = () => ({
+    // 上下文所属的应用实例，没有通过 createApp 挂载的组件为 null
+    app: null,
+    config: {
+        globalProperties: {},
+        errorHandler: undefined,
+        warnHandler: undefined,
+    },
+    // 全局注册的组件与指令
+    components: {},
+    directives: {},
+    // 通过 app.provide 提供的数据
+    provides: Object.create(null),
+});
+
+/**
+ * @description 创建 createApp 函数，由渲染器调用，应用的挂载与卸载都交给渲染器完成
+ * @param {Function} render 渲染器的 render 函数
+ * @param {Function} hydrate 渲染器的 hydrate 函数
+ * @param {Function} querySelector 通过选择器查找挂载的容器
+ * @returns {Function} createApp
+ */
+export const createAppAPI = (render, hydrate, querySelector) => {
+    /**
+     * @description 创建应用实例
+     * @param {Object|Function} rootComponent 根组件
+     * @param {Object} rootProps 传递给根组件的 props
+     * @returns {Object} 应用实例，除 mount、unmount 以外的方法都返回应用实例本身，可以链式调用
+     */
+    return (rootComponent, rootProps = null) => {
+        const context = createAppContext();
+        // 已经安装的插件，同一个插件只会安装一次
+        const installedPlugins = new WeakSet();
+        let isMounted = false;
+
+        const app = context.app = {
+            _component: rootComponent,
+            _props: rootProps,
+            _container: null,
+            _context: context,
+            // 根组件的实例，挂载后才存在
+            _instance: null,
+
+            get config() {
+                return context.config;
+            },
+            set config(value) {
+                console.warn('app.config 不能被替换，请修改它的属性');
+            },
+
+            /**
+             * @description 安装插件，插件可以是带有 install 方法的对象，也可以是函数
+             * @param {Object|Function} plugin 插件
+             * @param  {...any} options 传递给插件的参数
+             */
+            use(plugin, ...options) {
+                if (installedPlugins.has(plugin)) {
+                    console.warn('插件已经安装过了，不会重复安装');
+                } else if (plugin && typeof plugin.install === 'function') {
+                    installedPlugins.add(plugin);
+                    plugin.install(app, ...options);
+                } else if (typeof plugin === 'function') {
+                    installedPlugins.add(plugin);
+                    plugin(app, ...options);
+                } else {
+                    console.warn('插件必须是函数，或者是带有 install 方法的对象');
+                }
+                return app;
+            },
+
+            /**
+             * @description 注册或获取全局组件，只传入 name 时返回已注册的组件
+             * @param {String} name 组件名
+             * @param {Object|Function} component 组件
+             */
+            component(name, component) {
+                if (!component) {
+                    return context.components[name];
+                }
+                if (context.components[name]) {
+                    console.warn(`组件 ${name} 已经注册过了，将被覆盖`);
+                }
+                context.components[name] = component;
+                return app;
+            },
+
+            /**
+             * @description 注册或获取全局指令，只传入 name 时返回已注册的指令
+             * @param {String} name 指令名，不包含 v- 前缀
+             * @param {Object|Function} directive 指令
+             */
+            directive(name, directive) {
+                if (!directive) {
+                    return context.directives[name];
+                }
+                if (context.directives[name]) {
+                    console.warn(`指令 ${name} 已经注册过了，将被覆盖`);
+                }
+                context.directives[name] = directive;
+                return app;
+            },
+
+            /**
+             * @description 为应用中的所有组件提供数据，组件中通过 inject 获取
+             * @param {String|Symbol} key
+             * @param {any} value
+             */
+            provide(key, value) {
+                if (key in context.provides) {
+                    console.warn(`应用已经提供了 ${String(key)}，将被覆盖`);
+                }
+                context.provides[key] = value;
+                return app;
+            },
+
+            /**
+             * @description 将根组件挂载到容器中
+             * @param {String|Object} rootContainer 容器，或者容器的选择器
+             * @param {Boolean} isHydrate 是否激活容器中服务端渲染的内容
+             * @returns {Object} 根组件的渲染上下文
+             */
+            mount(rootContainer, isHydrate = false) {
+                if (isMounted) {
+                    console.warn('应用已经挂载过了，需要先调用 app.unmount 卸载');
+                    return;
+                }
+                const container = typeof rootContainer === 'string' ? querySelector(rootContainer) : rootContainer;
+                if (!container) {
+                    console.warn(`找不到挂载的容器: ${rootContainer}`);
+                    return;
+                }
+
+                // 根组件的实例从 vnode 上获取应用上下文，子组件再从父组件继承
+                const vnode = {
+                    type: rootComponent,
+                    props: rootProps,
+                    appContext: context,
+                };
+                if (isHydrate) {
+                    hydrate(vnode, container);
+                } else {
+                    render(vnode, container);
+                }
+
+                isMounted = true;
+                app._container = container;
+                app._instance = vnode.component;
+                return vnode.component.proxy;
+            },
+
+            /**
+             * @description 卸载应用，根组件以及它的所有子组件都会被卸载
+             */
+            unmount() {
+                if (!isMounted) {
+                    console.warn('应用还没有挂载');
+                    return;
+                }
+                render(null, app._container);
+                isMounted = false;
+                app._container = null;
+                app._instance = null;
+            },
+        };
+
+        return app;
+    };
+};
@@ -0,0 +1,366 @@
+/**
+ * @file 组件实例的创建与初始化，浏览器端渲染器与服务端渲染器共用
+ */
+
+import { reactive, shallowReactive, shallowReadonly, pauseTracking, resetTracking } from '@/core/observer';
+import { proxyRefs } from '@/core/ref';
+import effectScope from '@/core/effectScope';
+
+import { capitalize } from '@/utils/index';
+import { resolveProps } from '@/utils/props';
+import { ErrorTypes, handleError, callWithErrorHandling, warn } from '@/utils/errorHandling';
+
+import { Comment } from './index.js';
+import { createAppContext } from './app.js';
+import { compileToFunction } from './template/index.js';
+
+// 全局变量，存储当前正在被初始化的组件实例
+let currentInstance = null;
+// 组件实例的唯一标识，父组件总是先于子组件创建，所以父组件的 uid 更小
+let uid = 0;
+
+// 没有通过应用挂载的组件使用的默认上下文
+const emptyAppContext = createAppContext();
+
+export const setCurrentInstance = (instance) => {
+    currentInstance = instance;
+};
+
+export const getCurrentInstance = () => currentInstance;
+
+/**
+ * @description 创建注册生命周期钩子的函数，钩子会被添加到当前组件实例对应的数组中
+ * * 同一个钩子可以注册多次，例如多个组合式函数中都调用了 onMounted，按照注册的顺序执行
+ * @param {String} type 生命周期的名称，与组件选项中的名称一致，例如 mounted
+ */
+const createHook = (type) => (callback) => {
+    if (currentInstance) {
+        currentInstance[type].push(callback);
+    } else {
+        warn(`on${capitalize(type)} 函数只能在 setup 中调用`);
+    }
+};
+
+export const onBeforeMount = createHook('beforeMount');
+export const onMounted = createHook('mounted');
+export const onBeforeUpdate = createHook('beforeUpdate');
+export const onUpdated = createHook('updated');
+export const onBeforeUnmount = createHook('beforeUnmount');
+export const onUnmounted = createHook('unmounted');
+// 被 KeepAlive 缓存的组件被激活、失活时调用
+export const onActivated = createHook('activated');
+export const onDeactivated = createHook('deactivated');
+// 捕获后代组件抛出的错误
+export const onErrorCaptured = createHook('errorCaptured');
+
+/**
+ * @description 为后代组件提供数据，后代组件通过 inject 获取
+ * * 第一次调用时以父组件的 provides 为原型创建自己的 provides，查找时沿着原型链一直找到应用的 provides
+ * * 提供的值原样传递，提供 ref 或 reactive 对象时，后代组件中读取到的数据同样是响应式的
+ * @param {String|Symbol} key
+ * @param {any} value
+ *
+ * @example
+ * // 父组件
+ * const ThemeKey = Symbol('theme');
+ * provide(ThemeKey, ref('dark'));
+ * // 后代组件
+ * const theme = inject(ThemeKey, 'light');
+ */
+export const provide = (key, value) => {
+    if (!currentInstance) {
+        warn('provide 函数只能在 setup 中调用');
+        return;
+    }
+    const parentProvides = currentInstance.parent
+        ? currentInstance.parent.provides
+        : currentInstance.appContext.provides;
+    // 与父组件共用同一个对象时，说明还没有创建自己的 provides
+    if (currentInstance.provides === parentProvides) {
+        currentInstance.provides = Object.create(parentProvides);
+    }
+    currentInstance.provides[key] = value;
+};
+
+/**
+ * @description 获取祖先组件或者应用提供的数据，组件自身提供的数据不会被自己获取到
+ * @param {String|Symbol} key
+ * @param {any} defaultValue 找不到数据时返回的默认值，显式传入 undefined 同样视为提供了默认值
+ * @param {Boolean} treatDefaultAsFactory 为 true 时，defaultValue 作为工厂函数，返回值为默认值，避免多个组件共用同一个对象
+ * @returns {any}
+ */
+export function inject(key, defaultValue, treatDefaultAsFactory = false) {
+    const instance = currentInstance;
+    if (!instance) {
+        warn('inject 函数只能在 setup 中调用');
+        return;
+    }
+    const provides = instance.parent ? instance.parent.provides : instance.appContext.provides;
+    if (key in provides) {
+        return provides[key];
+    } else if (arguments.length > 1) {
+        // 使用 arguments 判断是否传入了默认值，inject(key, undefined) 不会输出警告
+        return treatDefaultAsFactory && typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+    }
+    warn(`找不到注入的数据 ${String(key)}`, instance);
+}
+
+/**
+ * @description 执行组件的生命周期钩子，先执行 setup 中注册的钩子，再执行组件选项中的同名钩子
+ * * 钩子的 this 指向渲染上下文，钩子中读取的数据不会被渲染副作用收集为依赖
+ * @param {Object} instance 组件实例
+ * @param {String} type 生命周期的名称
+ */
+export const callHook = (instance, type) => {
+    const optionHook = instance.type[type];
+    pauseTracking();
+    try {
+        const hooks = optionHook ? [...instance[type], optionHook] : instance[type];
+        // 钩子中抛出的错误不会中断其他钩子的执行
+        hooks.forEach(hook => {
+            callWithErrorHandling(() => hook.call(instance.proxy), instance, `${type} hook`);
+        });
+    } finally {
+        resetTracking();
+    }
+};
+
+/**
+ * @description 创建组件实例，此时还未执行 setup
+ * * 函数式组件会被转换为只有 render 和 props 的组件选项
+ * @param {Object} vnode 组件的虚拟节点
+ * @param {Object} parent 父组件实例，根组件为 null
+ * @returns {Object} 组件实例
+ */
+export const createComponentInstance = (vnode, parent = null) => {
+    const isFunctional = typeof vnode.type === 'function';
+
+    let componentOptions = vnode.type;
+
+    if (isFunctional) {
+        componentOptions = {
+            render: vnode.type,
+            props: vnode.type.props,
+        }
+    }
+
+    const { data, props: propsOption, beforeCreate } = componentOptions;
+
+    // * 下面的生命周期钩子，可能存在多个，如 Mixins， 所以其实是一个被序列化的数组，foreach 执行
+    beforeCreate && beforeCreate();
+
+    // 直接使用编译好的 vnode.children 对象作为 slots 对象即可
+    const slots = vnode.children || {}
+
+    const state = data ? reactive(data()) : null;
+    // 应用上下文从父组件继承，根组件从 vnode 上获取
+    const appContext = parent ? parent.appContext : (vnode.appContext || emptyAppContext);
+    const instance = {
+        uid: uid++,
+        vnode,
+        parent,
+        appContext,
+        // 组件通过 provide 提供的数据，在调用 provide 之前直接使用父组件的 provides
+        provides: parent ? parent.provides : appContext.provides,
+        // 组件选项
+        type: componentOptions,
+        // props 与 attrs 在实例创建之后解析
+        props: null,
+        attrs: null,
+        // 组件自身的状态
+        state,
+        // setup 返回的数据
+        setupState: null,
+        // 渲染函数，以及渲染函数的 this，即渲染上下文
+        render: null,
+        proxy: null,
+        // 一个布尔值，用来表示组件是否被挂载，初始值 false
+        isMounted: false,
+        // 组件所渲染的内容， 子树
+        subTree: null,
+        // 组件的更新函数，即渲染副作用函数，它的执行会被调度器安排
+        update: null,
+        // 组件的 effect 作用域，收集 setup 中创建的 computed、watch 以及渲染副作用，卸载时统一停止
+        // detached 为 true，组件的 scope 只随组件自身卸载而停止，不受创建它时所处的 scope 影响
+        scope: effectScope(true),
+        slots,
+        // 是否已经被卸载
+        isUnmounted: false,
+        // 通过 onMounted 等函数注册的生命周期钩子
+        beforeMount: [],
+        mounted: [],
+        beforeUpdate: [],
+        updated: [],
+        beforeUnmount: [],
+        unmounted: [],
+        activated: [],
+        deactivated: [],
+        errorCaptured: [],
+        // 只有 KeepAlive 组件的实例下会有 keepAliveCtx 属性
+        keepAliveCtx: null,
+    }
+
+    // 调用 resolveProps 函数解析出最终的 props 数据与 attrs 数据，校验失败时的警告中需要输出组件名，所以在实例创建之后解析
+    const [props, attrs] = resolveProps(propsOption, vnode.props, instance);
+    // 将解析出的 props 数据包装为 shallowReactive 并定义到组件实例上
+    instance.props = shallowReactive(props);
+    instance.attrs = attrs;
+
+    // 组件中创建的 watch 出错时，交给组件的错误处理
+    instance.scope.onError = (err, info) => handleError(err, instance, info);
+
+    vnode.component = instance;
+    return instance;
+};
+
+/**
+ * @description 初始化组件实例：执行 setup、创建渲染上下文、调用 created，并确定最终的渲染函数
+ * * 执行完毕后可以通过 instance.render.call(instance.proxy, instance.proxy) 得到组件的子树
+ * @param {Object} instance 组件实例
+ */
+export const setupComponent = (instance) => {
+    const { type: componentOptions, attrs, slots } = instance;
+    const { setup, created, template } = componentOptions;
+    let { render } = componentOptions;
+
+    const emit = (event, ...payload) => {
+        const eventName = `on${event[0].toUpperCase()}${event.slice(1)}`;
+        const handler = instance.props[eventName];
+        if (handler) {
+            callWithErrorHandling(handler, instance, ErrorTypes.COMPONENT_EVENT_HANDLER, payload);
+        } else {
+            warn(`事件 ${eventName} 未定义`, instance);
+        }
+    }
+
+    // setupContext
+    const setupContext = {
+        attrs,
+        emit,
+        slots,
+    };
+
+    // 在调用 setup 函数之前，设置当前组件实例
+    setup && setCurrentInstance(instance);
+
+    // 调用 setup 函数，传入 props 和 setupContext，setup 中创建的副作用函数由组件的 scope 收集
+    // setup 出错时交给 handleError 处理，组件按照没有 setup 的情况继续渲染
+    const setupResult = setup
+        ? instance.scope.run(() => callWithErrorHandling(setup, instance, ErrorTypes.SETUP_FUNCTION, [shallowReadonly(instance.props), setupContext])) ?? null
+        : null;
+    // 如果 setupResult 是一个函数，则表示组件的渲染函数
+    if (typeof setupResult === 'function') {
+        if (render) {
+            warn('setup 函数返回了渲染函数，但组件中已经定义了 render 函数，render 函数将被覆盖', instance);
+        }
+        render = setupResult;
+    } else if (setupResult) {
+        // 如果 setupResult 是一个对象，则表示组件的状态, 在渲染上下文中访问 ref 时自动脱 ref
+        instance.setupState = proxyRefs(setupResult);
+    }
+
+    // 在 setup 函数执行完毕之后，重置当前组件实例
+    setCurrentInstance(null)
+
+    const renderContext = instance.proxy = createRenderContext(instance);
+
+    created && created.call(renderContext);
+
+    // 没有渲染函数但是存在模板时，将模板编译为渲染函数
+    if (!render && template) {
+        render = compileToFunction(template);
+    }
+
+    if (!render) {
+        render = () => {
+            return {
+                type: Comment,
+                children: ''
+            }
+        }
+    }
+
+    instance.render = render;
+};
+
+/**
+ * @description 创建渲染上下文，渲染函数与生命周期钩子中的 this 都指向它
+ * @param {Object} instance 组件实例
+ */
+const createRenderContext = (instance) => {
+    // 还未处理 computed 和 methods, 都需要绑定到 实例上
+    return new Proxy(instance, {
+        get(target, key, raw) {
+            const { state, props, setupState, slots, appContext } = target;
+            const { globalProperties } = appContext.config;
+            // 1. 先从 state 中获取值
+            if (state && key in state) {
+                return state[key];
+            }
+            // 2. 再从 props 中获取值
+            else if (key in props) {
+                return props[key];
+            }
+            // 3. 渲染上下文需要增加对 setupState 的支持
+            else if (setupState && key in setupState) {
+                return setupState[key];
+            }
+            else if (key === '$slots') {
+                return slots
+            }
+            else if (key === '$options') {
+                return target.type;
+            }
+            // 组件实例本身，例如模板中解析全局组件时需要通过它访问应用上下文
+            else if (key === '$') {
+                return target;
+            }
+            // 4. 最后从应用的 config.globalProperties 中获取值
+            else if (key in globalProperties) {
+                return globalProperties[key];
+            }
+            // 模板编译出的渲染函数使用 with 语句, 引擎会读取 Symbol.unscopables 等内置的 symbol
+            else if (typeof key === 'symbol') {
+                return undefined;
+            }
+            console.error('不存在');
+            return undefined;
+        },
+        // 模板编译出的渲染函数通过 with (_ctx) 访问数据, 只有渲染上下文中存在的 key 才返回 true
+        // 其余的标识符(例如 Math、JSON)会继续沿着作用域链查找全局变量
+        has(target, key) {
+            const { state, props, setupState, appContext } = target;
+            return (state && key in state)
+                || key in props
+                || (setupState && key in setupState)
+                || key === '$slots'
+                || key === '$options'
+                || key in appContext.config.globalProperties;
+        },
+        set(target, key, value, raw) {
+            const { state, props, setupState } = target;
+            // 1. 先从 state 中获取值
+            if (state && key in state) {
+                state[key] = value;
+            } else if (key in props) {
+                // 2. 再从 props 中获取值
+                warn(`Attempting to mutate prop "${key}". Props are readonly.`, target)
+                // 生产环境还是赋值给 props[key]， 但是会有警告
+                props[key] = value;
+            }
+            // 渲染上下文需要增加对 setupState 的支持
+            else if (setupState && key in setupState) {
+                setupState[key] = value;
+            }
+            // 设置 slots 不允许成立
+            else if (key === '$slots') {
+                return false;
+            }
+            else {
+                console.error('不存在');
+                return false;
+            }
+            return true;
+        }
+    });
+};
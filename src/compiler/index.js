@@ -2,10 +2,41 @@
  * @file 虚拟DOM渲染器
  */
 
-import { effect, reactive, ref, shallowRef, shallowReactive, shallowReadonly } from '@vue/reactivity';
-
+import { effect, pauseTracking, resetTracking } from '@/core/observer';
+import ref, { shallowRef } from '@/core/ref';
+import { onScopeDispose } from '@/core/effectScope';
+
+import {
+    queueJob,
+    invalidateJob,
+    queuePostFlushCb,
+    flushPreFlushCbs,
+    flushPostFlushCbs,
+    nextTick,
+} from '@/core/scheduler';
 import { hasOwn, notEmpty, getSequence } from '@/utils/index';
 import { resolveProps, hasPropsChanged } from '@/utils/props';
+import { ErrorTypes, handleError, callWithErrorHandling } from '@/utils/errorHandling';
+
+import { PatchFlags, cloneIfHoisted } from './vnode.js';
+import {
+    getCurrentInstance,
+    onBeforeMount,
+    onMounted,
+    onBeforeUpdate,
+    onUpdated,
+    onBeforeUnmount,
+    onUnmounted,
+    onActivated,
+    onDeactivated,
+    onErrorCaptured,
+    provide,
+    inject,
+    callHook,
+    createComponentInstance,
+    setupComponent,
+} from './component.js';
+import { createAppAPI } from './app.js';
 
 /**
  * @description 针对 text 和 comment 等类型做出的标识
@@ -41,9 +72,42 @@ export const shouldKeepAlive = Symbol.for('shouldKeepAlive')
 /** Teleport */
 export const IsTeleport = Symbol.for('Teleport');
 
+/**
+ * @description 宿主节点的类型，配置项 nodeType 返回其中之一
+ * @readonly
+ */
+export const HostNodeTypes = {
+    ELEMENT: 'element',
+    TEXT: 'text',
+    COMMENT: 'comment',
+};
+
+export { nextTick };
+
 /**
  * @description 创建一个渲染器
+ * * 渲染器本身与平台无关，所有对宿主节点的操作都通过配置项完成，浏览器、测试环境等只需要提供不同的配置项
  * @param {Object} option 配置项
+ * @param {Function} option.createElement (type) => 元素
+ * @param {Function} option.createTextNode (text) => 文本节点
+ * @param {Function} option.createComment (text) => 注释节点
+ * @param {Function} option.insert (el, parent, anchor) 将节点插入到 anchor 之前，anchor 为 null 时插入到末尾
+ * @param {Function} option.remove (el) 将节点从父节点中移除
+ * @param {Function} option.setElementText (el, text) 设置元素的文本内容
+ * @param {Function} option.setText (node, text) 设置文本节点、注释节点的内容
+ * @param {Function} option.parentNode (node) => 父节点
+ * @param {Function} option.nextSibling (node) => 下一个兄弟节点
+ * @param {Function} option.firstChild (el) => 第一个子节点
+ * @param {Function} option.nodeType (node) => 节点的类型，'element'、'text' 或 'comment'，激活使用
+ * @param {Function} option.tagName (el) => 元素的标签名，激活使用
+ * @param {Function} option.textContent (node) => 节点的文本内容，注释节点返回注释的内容，激活使用
+ * @param {Function} option.querySelector (selector) => 元素，Teleport 通过它查找目标容器
+ * @param {Function} option.patchProps (el, key, prevValue, nextValue, parentComponent) 更新属性与事件，事件处理函数出错时交给 parentComponent 处理
+ * @param {Function} option.nextFrame (callback) 在下一帧执行回调，Transition 使用
+ * @param {Function} option.addClass (el, className) Transition 使用
+ * @param {Function} option.removeClass (el, className) Transition 使用
+ * @param {Function} option.whenTransitionEnds (el, callback) 过渡结束后执行回调，Transition 使用
+ * @param {Function} option.forceReflow 可选，强制重排，Transition 使用
  * @return {render } 渲染器
  */
 const createRenderer = (option) => {
@@ -53,56 +117,75 @@ const createRenderer = (option) => {
         createComment,
         insert,
         setElementText,
+        setText,
+        remove,
+        parentNode,
+        nextSibling,
+        firstChild,
+        nodeType,
+        tagName,
+        textContent,
+        querySelector,
         patchProps,
         nextFrame,
+        addClass,
+        removeClass,
+        whenTransitionEnds,
+        forceReflow,
     } = option;
 
-    const queue = new Set();
-    let isFlushing = false;
-    const p = Promise.resolve();
-    const queueJob = (job) => {
-        queue.add(job);
-        if (!isFlushing) {
-            // 标识设为 true, 避免重复刷新
-            isFlushing = true;
-            // 微任务队列中刷新缓冲队列
-            p.then(() => {
-                try {
-                    // 执行任务
-                    queue.forEach((job) => job?.());
-                } finally {
-                    isFlushing = false;
-                    queue.clear();
-                }
-            })
-        }
-    }
+    // 正在渲染的组件实例，它渲染过程中创建的子组件以它为父组件
+    let currentRenderingInstance = null;
 
-    // 全局变量，存储当前正在被初始化的组件实例
-    let currentInstance = null
+    /**
+     * @description 调用元素上自定义指令的钩子，钩子的参数为 (el, binding, vnode, prevVNode)
+     * @param {Object} vnode 元素的虚拟节点
+     * @param {Object} prevVNode 更新前的虚拟节点，用于获取指令的旧值
+     * @param {String} name 钩子名称，例如 mounted
+     * @param {Object} instance 元素所属的组件实例，post 队列中调用时需要在入队之前获取
+     */
+    const invokeDirectiveHook = (vnode, prevVNode, name, instance = currentRenderingInstance) => {
+        vnode.dirs.forEach((binding, i) => {
+            const hook = binding.dir?.[name];
+            if (!hook) return;
+            if (prevVNode) {
+                binding.oldValue = prevVNode.dirs?.[i]?.value;
+            }
+            binding.instance = instance?.proxy ?? null;
+            // 钩子中读取的响应式数据不应该被渲染副作用收集
+            pauseTracking();
+            try {
+                callWithErrorHandling(hook, instance, ErrorTypes.DIRECTIVE_HOOK, [vnode.el, binding, vnode, prevVNode]);
+            } finally {
+                resetTracking();
+            }
+        });
+    };
 
-    const setCurrentInstance = (instance) => {
-        currentInstance = instance;
-    }
+    const deepFindComponent = (vnode) => {
+        // 激活时等待加载的异步组件还没有子树
+        return vnode.component?.subTree ? deepFindComponent(vnode.component.subTree) : vnode;
+    };
 
-    const onMounted = (callback) => {
-        if (currentInstance) {
-            currentInstance.mounted.push(callback);
-        } else {
-            console.error('onMounted 函数只能在 setup 中调用');
-        }
-    }
+    /**
+     * @description 获取 vnode 对应的真实 DOM 之后的兄弟节点
+     */
+    const getNextSibling = (vnode) => {
+        const target = deepFindComponent(vnode);
+        // Fragment 的最后一个节点是尾部锚点
+        const el = target.type === Fragment ? target.anchor : target.el;
+        return el ? nextSibling(el) : null;
+    };
 
-    const onUnmounted = (callback) => {
-        if (currentInstance) {
-            currentInstance.unmounted.push(callback);
-        } else {
-            console.error('onUnmounted 函数只能在 setup 中调用');
+    /**
+     * @description 规范化一组子节点，静态提升的子节点会被替换为它的拷贝
+     */
+    const normalizeChildren = (vnode) => {
+        if (Array.isArray(vnode.children)) {
+            vnode.children.forEach((child, i) => {
+                vnode.children[i] = cloneIfHoisted(child);
+            });
         }
-    }
-
-    const deepFindComponent = (vnode) => {
-        return vnode.component ? deepFindComponent(vnode.component.subTree) : vnode;
     };
 
     /**
@@ -120,7 +203,7 @@ const createRenderer = (option) => {
             // 创建一个缓存对象 key: vnode.type  value: vnode
             const cache = new Map();
             // 当前 KeepAlive 组件的实例
-            const instance = currentInstance;
+            const instance = getCurrentInstance();
             // 对于 KeepAlive 组件来说，它的实例上存在特殊的 keepAliveCtx 对象，该对象由渲染器注入
             // 该对象会暴露渲染器的一些内部方法，其中 move 函数用来将一段 DOM 移动到另一个容器中
             const { move, createElement } = instance.keepAliveCtx;
@@ -130,10 +213,13 @@ const createRenderer = (option) => {
             // KeepAlive 组件的实例上会被添加两个内部函数，分别是 Symbol('deActivate')和 Symbol('activate')
             Reflect.set(instance, '_deActivate', (vnode) => {
                 move(vnode, storageContainer);
+                // 与 unmounted 一样，在 DOM 移动完成后调用
+                queuePostFlushCb(() => callHook(vnode.component, 'deactivated'));
             })
 
             Reflect.set(instance, '_activate', (vnode, container, anchor) => {
                 move(vnode, container, anchor);
+                queuePostFlushCb(() => callHook(vnode.component, 'activated'));
             })
 
             return () => {
@@ -187,13 +273,13 @@ const createRenderer = (option) => {
         process: (ov, nv, container, anchor, internals) => {
             const { patch, patchChildren, move } = internals;
             if (!ov) {
-                const target = typeof nv.props.to === 'string' ? document.querySelector(nv.props.to) : nv.props.to;
+                const target = typeof nv.props.to === 'string' ? querySelector(nv.props.to) : nv.props.to;
                 nv.children.forEach(child => {
                     patch(null, child, target, anchor);
                 });
             } else {
                 if (ov.props.to !== nv.props.to) {
-                    const newTarget = typeof nv.props.to === 'string' ? document.querySelector(nv.props.to) : nv.props.to;
+                    const newTarget = typeof nv.props.to === 'string' ? querySelector(nv.props.to) : nv.props.to;
                     
                     nv.children.forEach(child => {
                         move(child, newTarget);
@@ -215,29 +301,33 @@ const createRenderer = (option) => {
             const innerVnode = defaultSlot();
             innerVnode.transition = {
                 beforeEnter(el) {
-                    el?.classList.add('enter-from');
-                    el?.classList.add('enter-active');
+                    if (!el) return;
+                    addClass(el, 'enter-from');
+                    addClass(el, 'enter-active');
                 },
                 enter(el) {
+                    if (!el) return;
                     nextFrame(() => {
-                        el?.classList.remove('enter-from');
-                        el?.classList.add('enter-to');
-                        el?.addEventListener('transitionend', () => {
-                            el?.classList.remove('enter-to');
-                            el?.classList.remove('enter-active');
+                        removeClass(el, 'enter-from');
+                        addClass(el, 'enter-to');
+                        whenTransitionEnds(el, () => {
+                            removeClass(el, 'enter-to');
+                            removeClass(el, 'enter-active');
                         });
                     });
                 },
                 leave(el, performRemove) {
-                    el?.classList.add('leave-from');
-                    el?.classList.add('leave-active');
-                    document.body.offsetHeight; // 触发重排
+                    if (!el) return performRemove?.();
+                    addClass(el, 'leave-from');
+                    addClass(el, 'leave-active');
+                    // 触发重排，让 leave-from 先生效
+                    forceReflow?.();
                     nextFrame(() => {
-                        el?.classList.remove('leave-from');
-                        el?.classList.add('leave-to');
-                        el?.addEventListener('transitionend', () => {
-                            el?.classList.remove('leave-active');
-                            el?.classList.remove('leave-to');
+                        removeClass(el, 'leave-from');
+                        addClass(el, 'leave-to');
+                        whenTransitionEnds(el, () => {
+                            removeClass(el, 'leave-active');
+                            removeClass(el, 'leave-to');
                             performRemove?.();
                         });
                     });
@@ -275,48 +365,348 @@ const createRenderer = (option) => {
         }
         // 把 vnode 存储到 container._vnode 下，即后续渲染中的旧 vnode
         container._vnode = vnode
+        // 同步执行挂载、更新过程中产生的回调，例如 mounted 钩子
+        flushPreFlushCbs();
+        flushPostFlushCbs();
+    };
+
+    const isComment = (node, data) => node && nodeType(node) === HostNodeTypes.COMMENT && textContent(node) === data;
+    // 服务端渲染的 Fragment 使用 <!--[--> 与 <!--]--> 作为首尾锚点
+    const isFragmentStart = (node) => isComment(node, '[');
+    const isFragmentEnd = (node) => isComment(node, ']');
+
+    // 正在激活的组件路径，用于在激活不匹配时定位问题
+    let hydratingPath = [];
+    // 本次激活是否存在不匹配的节点
+    let hasMismatch = false;
+
+    /**
+     * @description 激活服务端渲染的 DOM
+     * * 与 render 不同，hydrate 不会创建新的 DOM，而是同时遍历 DOM 与 vnode 树，将已有的 DOM 赋值给 vnode.el，并绑定事件
+     * * 服务端渲染的结构与 vnode 不一致时，会输出包含组件路径的警告，并使用客户端的渲染结果替换不匹配的部分
+     * * 宿主节点的类型、标签名与文本内容都通过配置项读取，测试渲染器同样可以激活
+     * @param {Object} vnode 虚拟DOM
+     * @param {HTMLElement} container 容器，内部是 renderToString 或 renderToStream 生成的 HTML
+     *
+     * @example
+     * // 服务端
+     * res.end(`<div id="app">${renderToString({ type: App })}</div>`);
+     * // 客户端
+     * hydrate({ type: App }, document.getElementById('app'));
+     */
+    const hydrate = (vnode, container) => {
+        hasMismatch = false;
+        const node = hydrateNode(firstChild(container), vnode, container);
+        // 服务端渲染的节点比 vnode 多，移除多余的节点
+        removeMismatchedNodes(node, null, container);
+        if (hasMismatch) {
+            console.error('激活完成，但存在不匹配的节点');
+        }
+        container._vnode = vnode;
+        flushPreFlushCbs();
+        flushPostFlushCbs();
+    };
+
+    /**
+     * @description 激活一个节点
+     * @param {Node} node 当前需要激活的 DOM 节点
+     * @param {Object} vnode 虚拟DOM
+     * @param {HTMLElement} container 父级 DOM 元素
+     * @returns {Node} 下一个需要激活的 DOM 节点
+     */
+    const hydrateNode = (node, vnode, container) => {
+        const { type } = vnode;
+        if (!node || isFragmentEnd(node)) {
+            // 服务端渲染的空文本不会生成 DOM 节点，直接创建即可
+            if (type !== Text || vnode.children) {
+                reportMismatch('缺少节点', node, vnode);
+            }
+            patch(null, vnode, container, node);
+            return node;
+        }
+
+        if (typeof type === 'string') {
+            if (nodeType(node) !== HostNodeTypes.ELEMENT || tagName(node).toLowerCase() !== type.toLowerCase()) {
+                return replaceMismatchedNode(node, vnode, container);
+            }
+            return hydrateElement(node, vnode);
+        } else if (type === Text) {
+            if (nodeType(node) !== HostNodeTypes.TEXT) {
+                if (!vnode.children) {
+                    patch(null, vnode, container, node);
+                    return node;
+                }
+                return replaceMismatchedNode(node, vnode, container);
+            }
+            vnode.el = node;
+            const text = String(vnode.children);
+            const content = textContent(node);
+            if (content !== text) {
+                if (text && content.startsWith(text)) {
+                    // 相邻的文本节点在服务端渲染的 HTML 中会合并为一个，拆分出属于当前 vnode 的部分
+                    insert(createTextNode(content.slice(text.length)), container, nextSibling(node));
+                } else {
+                    reportMismatch('文本内容不一致', node, vnode);
+                }
+                setText(node, text);
+            }
+            return nextSibling(node);
+        } else if (type === Comment) {
+            if (nodeType(node) !== HostNodeTypes.COMMENT) {
+                return replaceMismatchedNode(node, vnode, container);
+            }
+            vnode.el = node;
+            return nextSibling(node);
+        } else if (type === Fragment) {
+            if (!isFragmentStart(node)) {
+                return replaceMismatchedNode(node, vnode, container);
+            }
+            return hydrateFragment(node, vnode, container);
+        } else if (typeof type === 'object' && type[IsTeleport]) {
+            if (!isComment(node, 'teleport start') || !isComment(nextSibling(node), 'teleport end')) {
+                return replaceMismatchedNode(node, vnode, container);
+            }
+            // 服务端只渲染了 Teleport 的占位注释，它的内容直接挂载到目标容器中
+            patch(null, vnode, container, node);
+            return nextSibling(nextSibling(node));
+        } else if (typeof type === 'object' || typeof type === 'function') {
+            return hydrateComponent(node, vnode, container);
+        }
+        return nextSibling(node);
+    };
+
+    const hydrateElement = (el, vnode) => {
+        vnode.el = el;
+        const { props, children, dirs } = vnode;
+
+        // 服务端渲染的 HTML 中已经包含了属性，只需要绑定事件
+        if (notEmpty(props)) {
+            for (const key in props) {
+                if (/^on[A-Z]/.test(key)) {
+                    patchProps(el, key, null, props[key], currentRenderingInstance);
+                }
+            }
+        }
+
+        if (props?.innerHTML !== undefined || props?.textContent !== undefined) {
+            // 子节点由 innerHTML 或 textContent 决定，不需要激活
+        } else if (Array.isArray(children)) {
+            const next = hydrateChildren(firstChild(el), vnode, el);
+            // 服务端渲染的子节点比 vnode 多，移除多余的节点
+            removeMismatchedNodes(next, null, el);
+        } else if (notEmpty(children) && textContent(el) !== String(children)) {
+            reportMismatch('文本内容不一致', el, vnode);
+            setElementText(el, children);
+        }
+
+        if (dirs) {
+            const instance = currentRenderingInstance;
+            invokeDirectiveHook(vnode, null, 'created');
+            invokeDirectiveHook(vnode, null, 'beforeMount');
+            queuePostFlushCb(() => invokeDirectiveHook(vnode, null, 'mounted', instance));
+        }
+        return nextSibling(el);
+    };
+
+    const hydrateChildren = (node, vnode, container) => {
+        normalizeChildren(vnode);
+        vnode.children.forEach(child => {
+            node = hydrateNode(node, child, container);
+        });
+        return node;
+    };
+
+    const hydrateFragment = (node, vnode, container) => {
+        vnode.el = node;
+        let next = hydrateChildren(nextSibling(node), vnode, container);
+        if (!isFragmentEnd(next)) {
+            // 服务端渲染的子节点比 vnode 多，移除尾部锚点之前多余的节点
+            next = removeMismatchedNodes(next, locateFragmentEnd(next), container);
+        }
+        if (!next) {
+            // 尾部锚点丢失时，重新创建一个
+            next = createComment(']');
+            insert(next, container, null);
+        }
+        vnode.anchor = next;
+        return nextSibling(next);
+    };
+
+    const hydrateComponent = (node, vnode, container) => {
+        const { type } = vnode;
+        if (type.__asyncLoader && !type.__asyncResolved) {
+            // 未加载完成的异步组件无法确定子树，先跳过服务端渲染的内容，组件加载完成后会重新渲染并激活这部分内容
+            const next = nextSibling(locateNodeEnd(node));
+            mountComponent(vnode, container, null, node);
+            return next;
+        }
+        mountComponent(vnode, container, null, node);
+        return getNextSibling(vnode);
+    };
+
+    /**
+     * @description 激活组件的子树
+     * @param {Array<String>} path 组件路径，异步组件加载完成后才会激活，此时需要恢复它所在的组件路径
+     */
+    const hydrateSubTree = (node, subTree, container, path) => {
+        const prevPath = hydratingPath;
+        hydratingPath = path;
+        hydrateNode(node, subTree, container);
+        hydratingPath = prevPath;
+    };
+
+    /**
+     * @description 从 node 开始向后查找当前 Fragment 的尾部锚点，跳过嵌套的 Fragment
+     */
+    const locateFragmentEnd = (node) => {
+        let depth = 0;
+        while (node) {
+            if (isFragmentStart(node)) {
+                depth++;
+            } else if (isFragmentEnd(node)) {
+                if (depth === 0) {
+                    return node;
+                }
+                depth--;
+            }
+            node = nextSibling(node);
+        }
+        return null;
+    };
+
+    /**
+     * @description 获取一个 vnode 在服务端渲染出的最后一个 DOM 节点，Fragment 对应从 <!--[--> 到 <!--]--> 的一段节点
+     */
+    const locateNodeEnd = (node) => {
+        if (isFragmentStart(node)) {
+            return locateFragmentEnd(nextSibling(node)) || lastChild(parentNode(node));
+        }
+        return node;
+    };
+
+    const lastChild = (el) => {
+        let node = firstChild(el);
+        while (node && nextSibling(node)) {
+            node = nextSibling(node);
+        }
+        return node;
+    };
+
+    /**
+     * @description 移除 start 到 end 之间(不包括 end)不匹配的节点
+     * @returns {Node} end
+     */
+    const removeMismatchedNodes = (start, end, container) => {
+        if (start && start !== end) {
+            reportMismatch('存在多余的节点', start, null);
+        }
+        while (start && start !== end) {
+            const next = nextSibling(start);
+            remove(start);
+            start = next;
+        }
+        return end;
+    };
+
+    /**
+     * @description 使用客户端渲染的结果替换不匹配的节点
+     * @returns {Node} 下一个需要激活的 DOM 节点
+     */
+    const replaceMismatchedNode = (node, vnode, container) => {
+        reportMismatch('节点类型不一致', node, vnode);
+        const next = nextSibling(locateNodeEnd(node));
+        while (node !== next) {
+            const current = node;
+            node = nextSibling(node);
+            remove(current);
+        }
+        patch(null, vnode, container, next);
+        return next;
+    };
+
+    const reportMismatch = (reason, node, vnode) => {
+        hasMismatch = true;
+        console.warn(
+            `激活不匹配: ${reason}`,
+            '\n- 服务端渲染的节点:', node,
+            '\n- 客户端的虚拟节点:', vnode,
+            `\n- 组件路径: ${hydratingPath.length ? hydratingPath.map(name => `<${name}>`).join(' > ') : '<Root>'}`,
+        );
     };
 
     /**
      * @description 卸载 组件
      * @param {HTMLElement} el 元素
+     * @param {Boolean} optimized 是否处于 Block 中，Block 中的动态节点已经由 dynamicChildren 负责卸载
      */
-    const unmount = (vnode) => {
-        // TODO: 触发 unbind 钩子函数
+    const unmount = (vnode, optimized = false) => {
         // 需要递归卸载子节点
-        Array.isArray(vnode.children) && vnode.children.forEach(child => unmount(child));
+        if (vnode.dynamicChildren) {
+            // Block 只需要卸载收集到的动态节点，其余节点不存在组件和事件，随父元素一起移除即可
+            vnode.dynamicChildren.forEach(child => unmount(child, true));
+        } else if (
+            (!optimized || vnode.type === Fragment)
+            // 静态节点的子树中不存在组件和事件，移除根元素即可
+            && vnode.patchFlag !== PatchFlags.HOISTED
+            && Array.isArray(vnode.children)
+        ) {
+            // Block 中的 Fragment 来自 v-for，它的子节点不会被收集，需要逐个卸载
+            vnode.children.forEach(child => unmount(child, optimized));
+        }
+
+        if (vnode.type[IsTeleport]) {
+            // Teleport 的子节点已经在上面卸载过了，它自身不对应任何节点
+            return;
+        }
 
         if (typeof vnode.type === 'object') {
             // vnode.shouldKeepAlive 是一个布尔值，用来标识该组件是否应该被 KeepAlive
             if (vnode[shouldKeepAlive]) {
                 vnode.keepAliveInstance._deActivate(vnode);
             } else {
-                // 则beforeUnmount 和 unmounted 生命周期钩子函数
-                unmount(vnode.component.subTree);
-                vnode.component.onUnmounted && vnode.component.onUnmounted.forEach(hook => {
-                    hook();
-                });
+                const instance = vnode.component;
+                // beforeUnmount 在卸载子树之前调用，此时组件的 DOM 仍然存在
+                callHook(instance, 'beforeUnmount');
+                unmount(instance.subTree);
+                // 停止组件 scope 中的所有副作用函数，并移除队列中尚未执行的更新任务，卸载后的组件不再响应数据变化
+                instance.scope.stop();
+                invalidateJob(instance.update);
+                instance.isUnmounted = true;
+                // unmounted 在 post 队列中执行，此时整棵子树都已经卸载完成
+                queuePostFlushCb(() => callHook(instance, 'unmounted'));
             }
             return;
         }
 
-        if (notEmpty(vnode.props)) {
+        if (vnode.dirs && vnode.el) {
+            // 指令的 beforeUnmount 在元素移除之前调用，unmounted 在 post 队列中调用
+            const instance = currentRenderingInstance;
+            invokeDirectiveHook(vnode, null, 'beforeUnmount');
+            queuePostFlushCb(() => invokeDirectiveHook(vnode, null, 'unmounted', instance));
+        }
+
+        // Block 更新时不会为静态节点设置 el，这些节点随父元素一起移除即可
+        if (notEmpty(vnode.props) && vnode.el) {
             for (const key in vnode.props) {
                 patchProps(vnode.el, key, vnode.props[key], null);
             }
         }
 
-        // 卸载 Fragment 的子节点
+        // Fragment 的子节点已经在上面卸载过了
         if (vnode.type === Fragment) {
-            // 需要递归卸载子节点
-            vnode.children.forEach(child => unmount(child));
-            // Fragment 不对应任何真实的 DOM 元素，所以直接返回
+            // Fragment 不对应任何真实的 DOM 元素，移除首尾两个锚点以及它们之间剩余的节点(例如 Block 中的静态节点)
+            let current = vnode.el;
+            while (current && current !== vnode.anchor) {
+                const next = nextSibling(current);
+                remove(current);
+                current = next;
+            }
+            vnode.anchor && remove(vnode.anchor);
             return
         }
 
-        const parent = vnode.el?.parentNode;
-        if (parent) {
-            const performRemove = () => parent.removeChild(vnode.el);
+        if (vnode.el && parentNode(vnode.el)) {
+            const performRemove = () => remove(vnode.el);
             const needTransition = !!vnode.transition;
             if (needTransition) {
                 // 调用 transition.leave 钩子，并将 DOM 元素作为参数传递
@@ -334,8 +724,10 @@ const createRenderer = (option) => {
      * @param {HTMLElement} container 容器
      */
     const patch = (ov, nv, container, anchor = null) => {
-        if (ov && nv && ov.type !== nv.type) {
-            // 如果新旧 vnode 的类型不同，则直接将旧 vnode 卸载
+        if (ov && nv && (ov.type !== nv.type || ov.key !== nv.key)) {
+            // 如果新旧 vnode 的类型或 key 不同，则直接将旧 vnode 卸载, 新 vnode 需要挂载到旧 vnode 原来的位置
+            // v-if 的不同分支使用不同的 key，切换分支时会走到这里
+            anchor = getNextSibling(ov);
             unmount(ov);
             ov = null;
         }
@@ -351,33 +743,43 @@ const createRenderer = (option) => {
             if (!ov) {
                 // 旧节点不存在, 则直接创建文本节点到并挂载到容器中
                 const el = nv.el = createTextNode(nv.children);
-                insert(el, container);
+                insert(el, container, anchor);
             } else {
                 // 如果旧 vnode 存在，只需要使用新文本节点的文本内容更新旧文本节点即
                 const el = nv.el = ov.el;
-                if (el.textContent !== nv.children) {
-                    el.textContent = nv.children;
+                if (ov.children !== nv.children) {
+                    setText(el, nv.children);
                 }
             }
         } else if (type === Comment) {
             if (!ov) {
                 // 旧节点不存在, 则直接创建注释节点到并挂载到容器中
                 const el = nv.el = createComment(nv.children);
-                insert(el, container);
+                insert(el, container, anchor);
             } else {
                 // 如果旧 vnode 存在，只需要使用新注释节点的文本内容更新旧注释节点即
                 const el = nv.el = ov.el;
-                if (el.textContent !== nv.children) {
-                    el.textContent = nv.children;
+                if (ov.children !== nv.children) {
+                    setText(el, nv.children);
                 }
             }
         } else if (type === Fragment) {
+            // Fragment 使用首尾两个空文本节点作为锚点，子节点总是被插入到尾部锚点之前
+            // 这样 v-for 生成的 Fragment 在更新时，新增的子节点也能被插入到正确的位置
+            const fragmentStartAnchor = nv.el = ov ? ov.el : createTextNode('');
+            const fragmentEndAnchor = nv.anchor = ov ? ov.anchor : createTextNode('');
             if (!ov) {
                 // 旧节点不存在, 则直接挂载 Fragment 的子节点到容器中
-                nv.children.forEach(child => patch(null, child, container));
+                insert(fragmentStartAnchor, container, anchor);
+                insert(fragmentEndAnchor, container, anchor);
+                normalizeChildren(nv);
+                nv.children.forEach(child => patch(null, child, container, fragmentEndAnchor));
+            } else if (ov.dynamicChildren && nv.dynamicChildren) {
+                // 模板中多个根节点组成的 Fragment 是一个 Block，只需要更新动态节点
+                patchBlockChildren(ov.dynamicChildren, nv.dynamicChildren, container);
             } else {
                 // 如果旧 vnode 存在，只需要使用新 Fragment 的子节点更新旧 Fragment 的子节点即
-                patchChildren(ov, nv, container);
+                patchChildren(ov, nv, container, fragmentEndAnchor);
             }
         } else if (typeof type === 'object' && type[IsTeleport]) {
             // 组件选项中如果存在 isTeleport 标识，则它是 Teleport 组件
@@ -419,6 +821,7 @@ const createRenderer = (option) => {
 
         if (notEmpty(vnode.children)) {
             if (Array.isArray(vnode.children)) {
+                normalizeChildren(vnode);
                 vnode.children.forEach(child => {
                     patch(null, child, el);
                 });
@@ -429,10 +832,17 @@ const createRenderer = (option) => {
 
         if (notEmpty(vnode.props)) {
             for (const key in vnode.props) {
-                patchProps(el, key, null, vnode.props[key]);
+                patchProps(el, key, null, vnode.props[key], currentRenderingInstance);
             }
         }
 
+        const { dirs } = vnode;
+        const instance = currentRenderingInstance;
+        if (dirs) {
+            invokeDirectiveHook(vnode, null, 'created');
+            invokeDirectiveHook(vnode, null, 'beforeMount');
+        }
+
         const needTransition = !!vnode.transition;
 
         if (needTransition) {
@@ -446,6 +856,9 @@ const createRenderer = (option) => {
             // 调用 transition.enter 钩子，并将 DOM 元素作为参数传递
             vnode.transition.enter?.(el);
         }
+
+        // 指令的 mounted 在 post 队列中调用，此时元素已经插入到页面中
+        dirs && queuePostFlushCb(() => invokeDirectiveHook(vnode, null, 'mounted', instance));
     };
 
     /**
@@ -455,25 +868,88 @@ const createRenderer = (option) => {
      */
     const patchElement = (ov, nv) => {
         const el = nv.el = ov.el;
-        const oldProps = ov.props;
-        const newProps = nv.props;
+        const { patchFlag, dynamicProps } = nv;
+        // 静态节点不会发生任何变化，直接跳过
+        if (patchFlag === PatchFlags.HOISTED) {
+            return;
+        }
+
+        const { dirs } = nv;
+        const instance = currentRenderingInstance;
+        dirs && invokeDirectiveHook(nv, ov, 'beforeUpdate');
+
+        const oldProps = ov.props || {};
+        const newProps = nv.props || {};
         // 第一步：更新 props
-        if (notEmpty(newProps)) {
-            for (const key in newProps) {
-                if (newProps[key] !== oldProps[key]) {
-                    patchProps(el, key, oldProps[key], newProps[key]);
-                }
+        if (patchFlag > 0 && !(patchFlag & PatchFlags.FULL_PROPS)) {
+            // 存在补丁标志时，只需要对比动态的部分
+            if (patchFlag & PatchFlags.CLASS && oldProps.class !== newProps.class) {
+                patchProps(el, 'class', oldProps.class, newProps.class);
             }
-        }
-        if (notEmpty(oldProps)) {
-            for (const key in oldProps) {
-                if (!hasOwn(newProps, key)) {
-                    patchProps(el, key, oldProps[key], null);
-                }
+            if (patchFlag & PatchFlags.STYLE && oldProps.style !== newProps.style) {
+                patchProps(el, 'style', oldProps.style, newProps.style);
             }
+            if (patchFlag & PatchFlags.PROPS) {
+                dynamicProps.forEach(key => {
+                    if (newProps[key] !== oldProps[key]) {
+                        patchProps(el, key, oldProps[key], newProps[key], currentRenderingInstance);
+                    }
+                });
+            }
+        } else {
+            patchAllProps(el, oldProps, newProps);
         }
+
         // 第二步：更新 children
-        patchChildren(ov, nv, el)
+        if (patchFlag > 0 && patchFlag & PatchFlags.TEXT) {
+            // 只有文本子节点是动态的
+            if (ov.children !== nv.children) {
+                setElementText(el, nv.children);
+            }
+        } else if (ov.dynamicChildren && nv.dynamicChildren) {
+            // 新旧节点都是 Block，只需要更新收集到的动态节点，不再递归整棵子树
+            patchBlockChildren(ov.dynamicChildren, nv.dynamicChildren, el);
+        } else {
+            patchChildren(ov, nv, el);
+        }
+
+        dirs && queuePostFlushCb(() => invokeDirectiveHook(nv, ov, 'updated', instance));
+    };
+
+    /**
+     * @description 更新 Block 收集到的动态节点
+     * * 同一个 Block 的结构是稳定的，新旧 dynamicChildren 一一对应，结构变化由 v-if、v-for 对应的子 Block 处理
+     * @param {Array} oldChildren 旧的动态节点
+     * @param {Array} newChildren 新的动态节点
+     * @param {HTMLElement} fallbackContainer Block 的根元素
+     */
+    const patchBlockChildren = (oldChildren, newChildren, fallbackContainer) => {
+        newChildren.forEach((nv, i) => {
+            const ov = oldChildren[i];
+            // 动态节点不一定是 Block 根元素的直接子节点，Fragment、组件或者需要替换的节点要用到真实的父元素
+            const el = deepFindComponent(ov).el;
+            const container = (el && parentNode(el)) || fallbackContainer;
+            patch(ov, nv, container);
+        });
+    };
+
+    /**
+     * @description 完整地对比新旧 props
+     * @param {HTMLElement} el 元素
+     * @param {Object} oldProps 旧 props
+     * @param {Object} newProps 新 props
+     */
+    const patchAllProps = (el, oldProps, newProps) => {
+        for (const key in newProps) {
+            if (newProps[key] !== oldProps[key]) {
+                patchProps(el, key, oldProps[key], newProps[key], currentRenderingInstance);
+            }
+        }
+        for (const key in oldProps) {
+            if (!hasOwn(newProps, key)) {
+                patchProps(el, key, oldProps[key], null);
+            }
+        }
     };
 
     /**
@@ -481,18 +957,20 @@ const createRenderer = (option) => {
      * @param {Object} ov 旧虚拟DOM
      * @param {Object} nv 新虚拟DOM
      * @param {HTMLElement} container 容器
+     * @param {HTMLElement} anchor 锚点，新增的子节点找不到后继节点时会被插入到锚点之前
      */
-    const patchChildren = (ov, nv, container) => {
+    const patchChildren = (ov, nv, container, anchor = null) => {
         //* 新子节点是一组子节点
         if (Array.isArray(nv.children)) {
+            normalizeChildren(nv);
             //* 判断旧子节点是否也是一组子节点
             if (Array.isArray(ov.children)) {
-                patchKeyedChildren(ov, nv, container);
+                patchKeyedChildren(ov, nv, container, anchor);
             } else {
                 //* 旧子节点不是一组子节点, 要么没有子节点, 要么是文本子节点
                 //! 但无论哪种情况，我们都只需要将容器清空，然后将新的一组子节点逐个挂载到容器中
                 setElementText(container, '')
-                nv.children.forEach(child => patch(null, child, container))
+                nv.children.forEach(child => patch(null, child, container, anchor))
             }
         }
         //* 判断新子节点的类型是否是文本节点 TextNode
@@ -522,8 +1000,9 @@ const createRenderer = (option) => {
      * @param {Object} ov 旧虚拟DOM
      * @param {Object} nv 新虚拟DOM
      * @param {HTMLElement} container 容器
+     * @param {HTMLElement} anchor 锚点
      */
-    const patchKeyedChildren = (ov, nv, container) => {
+    const patchKeyedChildren = (ov, nv, container, anchor) => {
         // !简单 diff 算法
         // simpleDiff(ov, nv, container);
 
@@ -531,7 +1010,7 @@ const createRenderer = (option) => {
         // doubleEndedDiff(ov, nv, container);
 
         // ! 快速 diff 算法
-        fastDiff(ov, nv, container);
+        fastDiff(ov, nv, container, anchor);
     };
 
     /**
@@ -539,66 +1018,11 @@ const createRenderer = (option) => {
      * @param {Object} vnode 虚拟DOM
      * @param {HTMLElement} container 容器
      * @param {HTMLElement} anchor 锚点
+     * @param {Node} hydratingNode 激活时组件对应的第一个 DOM 节点
      */
-    const mountComponent = (vnode, container, anchor) => {
-        const isFunctional = typeof vnode.type === 'function';
-
-        let componentOptions = vnode.type;
-
-        if (isFunctional) {
-            componentOptions = {
-                render: vnode.type,
-                props: vnode.type.props,
-            }
-        }
-
-        const { 
-            data,
-            props: propsOption,
-            setup,
-            beforeCreate, created,
-            beforeMount, mounted, 
-            beforeUpdate, updated
-        } = componentOptions;
-
-        let { render } = componentOptions;
-
-        // * 下面的生命周期钩子，可能存在多个，如 Mixins， 所以其实是一个被序列化的数组，foreach 执行
-        beforeCreate && beforeCreate();
-
-        // 调用 resolveProps 函数解析出最终的 props 数据与 attrs 数据
-        const [props, attrs] = resolveProps(propsOption, vnode.props);
-
-        const emit = (event, ...payload) => {
-            const eventName = `on${event[0].toUpperCase()}${event.slice(1)}`;
-            const handler = instance.props[eventName];
-            if (handler) {
-                handler(...payload);
-            } else {
-                console.warn(`事件 ${eventName} 未定义`);
-            }
-        }
-
-        // 直接使用编译好的 vnode.children 对象作为 slots 对象即可
-        const slots = vnode.children || {}
-
-        const state = data ? reactive(data()) : null;
-        const instance = {
-            attrs,
-            // 组件自身的状态
-            state,
-            // 将解析出的 props 数据包装为 shallowReactive 并定义到组件实例上
-            props: shallowReactive(props),
-            // 一个布尔值，用来表示组件是否被挂载，初始值 false
-            isMounted: false,
-            // 组件所渲染的内容， 子树
-            subTree: null,
-            slots,
-            mounted: [],
-            unmounted: [],
-            // 只有 KeepAlive 组件的实例下会有 keepAliveCtx 属性
-            keepAliveCtx: null,
-        }
+    const mountComponent = (vnode, container, anchor, hydratingNode = null) => {
+        const instance = createComponentInstance(vnode, currentRenderingInstance);
+        const { renderTracked, renderTriggered } = instance.type;
 
         const isKeepAlive = vnode.type[IsKeepAlive];
         if (isKeepAlive) {
@@ -611,118 +1035,85 @@ const createRenderer = (option) => {
             };
         }
 
-        // setupContext
-        const setupContext = {
-            attrs,
-            emit,
-            slots,
-        };
-
-        // 在调用 setup 函数之前，设置当前组件实例
-        setup && setCurrentInstance(instance);
-
-        // 调用 setup 函数，传入 props 和 setupContext
-        const setupResult = setup?.(shallowReadonly(instance.props), setupContext) ?? null;
-        // setupState 用来存储由 setup 返回的数据
-        let setupState = null;
-        // 如果 setupResult 是一个函数，则表示组件的渲染函数
-        if (typeof setupResult === 'function') {
-            if (render) {
-                console.warn('setup 函数返回了渲染函数，但组件中已经定义了 render 函数，render 函数将被覆盖');
+        setupComponent(instance);
+        const { render, proxy: renderContext } = instance;
+        // 激活时记录组件路径，用于输出激活不匹配的警告
+        const componentPath = hydratingNode ? [...hydratingPath, vnode.type.name || 'Anonymous'] : null;
+
+        // 响应式数据变化时，不立即重新渲染，而是交给调度器，同一轮事件循环中的多次修改只会触发一次更新
+        // 渲染副作用同样由组件的 scope 收集，组件卸载时随 scope 一同停止
+        const update = instance.update = instance.scope.run(() => effect(() => {
+            const { isMounted } = instance;
+            // 激活时等待加载的异步组件暂不挂载，但仍然执行渲染函数收集依赖，加载完成后会再次执行渲染，届时再激活
+            const isPendingAsync = !isMounted && hydratingNode && vnode.type.__asyncLoader && !vnode.type.__asyncResolved;
+            // before 钩子在渲染之前调用，钩子中修改的状态在本次渲染中生效
+            if (!isPendingAsync) {
+                callHook(instance, isMounted ? 'beforeUpdate' : 'beforeMount');
             }
-            render = setupResult;
-        } else {
-            // 如果 setupResult 是一个对象，则表示组件的状态
-            setupState = setupResult;
-        }
 
-        // 在 setup 函数执行完毕之后，重置当前组件实例
-        setCurrentInstance(null)
-
-        vnode.component = instance;
-
-        // 还未处理 computed 和 methods, 都需要绑定到 实例上
-        const renderContext = new Proxy(instance, {
-            get(target, key, raw) {
-                const { state, props, slots } = target;
-                // 1. 先从 state 中获取值
-                if (state && key in state) {
-                    return state[key];
-                }
-                // 2. 再从 props 中获取值
-                else if (key in props) {
-                    return props[key];
-                }
-                // 3. 渲染上下文需要增加对 setupState 的支持
-                else if (setupState && key in setupState) {
-                    return setupState[key];
-                }
-                else if (key === '$slots') {
-                    return slots
-                }
-                console.error('不存在');
-                return undefined;
-            },
-            set(target, key, value, raw) {
-                const { state, props } = target;
-                // 1. 先从 state 中获取值
-                if (state && key in state) {
-                    state[key] = value;
-                } else if (key in props) {
-                    // 2. 再从 props 中获取值
-                    console.warn(`Attempting to mutate prop "${key}". Props are readonly.`)
-                    // 生产环境还是赋值给 props[key]， 但是会有警告
-                    props[key] = value;
-                }
-                // 渲染上下文需要增加对 setupState 的支持
-                else if (setupState && key in setupState) {
-                    setupState[key] = value;
-                }
-                // 设置 slots 不允许成立
-                else if (key === '$slots') {
-                    return false;
+            let subTree;
+            try {
+                subTree = render.call(renderContext, renderContext);
+            } catch (err) {
+                // 渲染函数出错时渲染一个注释节点占位，不影响树中的其他部分
+                handleError(err, instance, ErrorTypes.RENDER_FUNCTION);
+                subTree = { type: Comment, children: '' };
+            }
+            if (isPendingAsync) return;
+
+            const prevInstance = currentRenderingInstance;
+            currentRenderingInstance = instance;
+            try {
+                // 初次挂载
+                if (!isMounted) {
+                    if (hydratingNode) {
+                        // 激活服务端渲染的 DOM，而不是重新创建
+                        hydrateSubTree(hydratingNode, subTree, container, componentPath);
+                    } else {
+                        patch(null, subTree, container, anchor);
+                    }
+                    instance.isMounted = true;
+                    // mounted 钩子在 post 队列中执行，此时整棵树都已经挂载完成
+                    queuePostFlushCb(() => callHook(instance, 'mounted'));
+                    // 被 KeepAlive 缓存的组件首次挂载时，同样会调用 activated
+                    vnode[shouldKeepAlive] && queuePostFlushCb(() => callHook(instance, 'activated'));
                 }
+                // 当 isMounted 为 true 时，说明组件已经被挂载，只需要完成自更新即
                 else {
-                    console.error('不存在');
-                    return false;
+                    patch(instance.subTree, subTree, container, anchor);
+                    queuePostFlushCb(() => callHook(instance, 'updated'));
                 }
-                return true;
+                instance.subTree = subTree;
+            } catch (err) {
+                // 更新时的错误由调度器交给 update.onError 处理，初次挂载时的错误同样交给组件的错误处理，不会从 render 中抛出
+                if (isMounted) throw err;
+                handleError(err, instance, ErrorTypes.RENDER_FUNCTION);
+            } finally {
+                currentRenderingInstance = prevInstance;
             }
-        });
-
-        created && created.call(renderContext);
+        }, {
+            scheduler: () => queueJob(update),
+            // 调试钩子，renderTracked 在渲染收集依赖时调用，renderTriggered 在依赖变化导致重新渲染时调用
+            onTrack: renderTracked && ((event) => callDebugHook(renderTracked, renderContext, event)),
+            onTrigger: renderTriggered && ((event) => callDebugHook(renderTriggered, renderContext, event)),
+        }));
+        // 按照 uid 排序，保证父组件先于子组件更新
+        update.id = instance.uid;
+        // 更新过程中(例如 patch 时)抛出的错误交给组件的错误处理
+        update.onError = (err) => handleError(err, instance, ErrorTypes.COMPONENT_UPDATE);
+    };
 
-        if (!render) {
-            render = () => {
-                return {
-                    type: Comment,
-                    children: ''
-                }
-            }
+    /**
+     * @description 调用 renderTracked、renderTriggered 调试钩子
+     * * 钩子执行时渲染副作用仍处于活跃状态，需要暂停依赖收集，否则钩子中通过 this 读取数据会再次收集依赖，导致无限递归
+     */
+    const callDebugHook = (hook, renderContext, event) => {
+        pauseTracking();
+        try {
+            hook.call(renderContext, event);
+        } finally {
+            resetTracking();
         }
-
-        effect(() => {
-            const subTree = render.call(renderContext, renderContext);
-            // 初次挂载
-            if (!instance.isMounted) {
-                beforeMount && beforeMount.call(renderContext);
-
-                patch(null, subTree, container, anchor);
-                instance.isMounted = true;
-                // 其他生命周期函数同理
-                instance.mounted && instance.mounted.forEach(hook =>
-                    hook.call(renderContext))
-                mounted && mounted.call(renderContext)
-            }
-            // 当 isMounted 为 true 时，说明组件已经被挂载，只需要完成自更新即
-            else {
-                beforeUpdate && beforeUpdate.call(renderContext);
-               
-                patch(instance.subTree, subTree, container, anchor);
-                updated && updated.call(renderContext);
-            }
-            instance.subTree = subTree;
-        });
     };
 
     /**
@@ -741,7 +1132,7 @@ const createRenderer = (option) => {
 
         if (hasChanged) {
             // 调用 resolveProps 函数重新获取 props 数据
-            const [nextProps] = resolveProps(nv.type.props, nv.props);
+            const [nextProps, nextAttrs] = resolveProps(nv.type.props, nv.props, instance);
             // 重新赋值 props 数据
             for (const key in nextProps) {
                 // 待确认 结构后的 props 是否还具备响应式特性
@@ -749,20 +1140,25 @@ const createRenderer = (option) => {
             }
             // 移除不需要的 props 数据
             for (const key in props) {
-                if (!key in nextProps) {
+                if (!(key in nextProps)) {
                     Reflect.deleteProperty(props, key);
                 }
             }
             // attrs 与 props 同理
             const { attrs } = instance;
-            for (const key in nv.attrs) {
-                attrs[key] = nv.attrs[key];
+            for (const key in nextAttrs) {
+                attrs[key] = nextAttrs[key];
             }
             for (const key in attrs) {
-                if (!key in nv.attrs) {
+                if (!(key in nextAttrs)) {
                     Reflect.deleteProperty(attrs, key);
                 }
             }
+            // props 变化触发的 flush 为 'pre' 的 watch 回调，需要在子组件更新之前执行
+            flushPreFlushCbs();
+            // 修改 props 会让子组件的更新任务加入队列，这里直接同步更新子组件，并移除队列中的任务，避免重复更新
+            invalidateJob(instance.update);
+            instance.update();
         }
     };
 
@@ -828,7 +1224,7 @@ const createRenderer = (option) => {
                         const prevVNode = newChildren[i - 1];
                         if (prevVNode) {
                             // 使用 nextSibling 而是不是 nextElementSibling 是因为：nextSibling 返回下一个节点（元素节点、文本节点或注释节点）。元素之间的空白也是文本节点。 *** 主要是这个空白
-                            const anchor = prevVNode.el.nextSibling
+                            const anchor = nextSibling(prevVNode.el)
                             insert(newVnode.el, container, anchor);
                         }
                         // 如果 prevVNode 不存在，则说明当前 newVNode 是第一个节点，它不需要移动
@@ -848,11 +1244,11 @@ const createRenderer = (option) => {
                 const prevVNode = newChildren[i - 1];
                 let anchor = null;
                 if (prevVNode) {
-                    anchor = prevVNode.el.nextSibling;
+                    anchor = nextSibling(prevVNode.el);
                 } else {
                     // 如果 prevVnode 不存在, 则代表新增节点是第一个子节点
                     // 这时我们使用容器元素的 firstChild 作为锚点
-                    anchor = container.firstChild;
+                    anchor = firstChild(container);
                 }
 
                 // 挂载 newVNode
@@ -908,7 +1304,7 @@ const createRenderer = (option) => {
             } 
             else if (oldStartVnode.key === newEndVnode.key) {
                 patch(oldStartVnode, newEndVnode, container);
-                insert(oldStartVnode.el, container, oldEndVnode.el.nextSibling);
+                insert(oldStartVnode.el, container, nextSibling(oldEndVnode.el));
                 oldStartVnode = oldChildren[++oldStartIdx]
                 newEndVnode = newChildren[--newEndIdx];
             } 
@@ -950,8 +1346,9 @@ const createRenderer = (option) => {
 
     /**
      * @description 快速 diff 算法
+     * @param {HTMLElement} parentAnchor 子节点之后的锚点, 例如 Fragment 的尾部锚点
      */
-    const fastDiff = (ov, nv, container) => {
+    const fastDiff = (ov, nv, container, parentAnchor = null) => {
         const newChildren = nv.children;
         const oldChildren = ov.children;
         // 处理前置相同的节点，开始的索引都为 0
@@ -984,7 +1381,7 @@ const createRenderer = (option) => {
         if (commonStartIdx > oldEndIdx && commonStartIdx <= newEndIdx) {
             // 锚点的索引
             const anchorIdx = newEndIdx + 1;
-            const anchor = anchorIdx < newChildren.length + 1 ? newChildren[anchorIdx].el : null;
+            const anchor = anchorIdx < newChildren.length ? newChildren[anchorIdx].el : parentAnchor;
             while(commonStartIdx <= newEndIdx) {
                 patch(null, newChildren[commonStartIdx], container, anchor);
                 commonStartIdx++;
@@ -1059,37 +1456,32 @@ const createRenderer = (option) => {
                 }
             }
 
-            // 如果 moved 为真，则需要进行 DOM 移动操作
-            if (moved) {
-                // 最长递增子序列则是代表不需要移动的列表
-                const seq = getSequence(source);
-                // s 指向最长递增子序列的最后一个元素
-                let s = seq.length - 1;
-                // i 指向新的一组子节点的最后一个元素
-                let x = needPatchCount - 1;
-                for (x; x >= 0; x--) {
-                    // 说明索引为 x 的节点是全新的节点，应该将其挂载
-                    if (source[x] === -1) {
-                        const pos = x + newStartIdx;
-                        const newVNode = newChildren[pos];
-                        // 该节点的下一个节点的位置索引
-                        const nextPos = pos + 1;
-                        const anchor = nextPos < newChildren.length ? newChildren[nextPos].el : null;
-                        patch(null, newVNode, container, anchor);
-                    }
-                    // 如果节点的索引 x 不等于 seq[s] 的值，说明该节点需要移动
-                    else if (x !== seq[s]) {
-                        const pos = x + newStartIdx;
-                        const newVNode = newChildren[pos];
-                        // 该节点的下一个节点的位置索引
-                        const nextPos = pos + 1;
-                        const anchor = nextPos < newChildren.length ? newChildren[nextPos].el : null;
-                        insert(newVNode.el, container, anchor);
-                    }
-                    else {
-                        // 当 i === seq[s] 时，说明该位置的节点不需要移动, 只需要让 s 指向下一个位置
-                        s--;
-                    }
+            // 最长递增子序列则是代表不需要移动的列表, 只有 moved 为真时才需要计算
+            // getSequence 会跳过值为 0 的项, 所以整体 +1, 让 -1 (全新的节点) 变为 0, 旧的索引 0 变为 1
+            const seq = moved ? getSequence(source.map(i => i + 1)) : [];
+            // s 指向最长递增子序列的最后一个元素
+            let s = seq.length - 1;
+            // i 指向新的一组子节点的最后一个元素
+            let x = needPatchCount - 1;
+            // 即使没有节点需要移动, 也可能存在全新的节点需要挂载
+            for (x; x >= 0; x--) {
+                const pos = x + newStartIdx;
+                const newVNode = newChildren[pos];
+                // 该节点的下一个节点的位置索引
+                const nextPos = pos + 1;
+                const anchor = nextPos < newChildren.length ? newChildren[nextPos].el : parentAnchor;
+                // 说明索引为 x 的节点是全新的节点，应该将其挂载
+                if (source[x] === -1) {
+                    patch(null, newVNode, container, anchor);
+                }
+                // 如果 moved 为真，则需要进行 DOM 移动操作
+                // 如果节点的索引 x 不等于 seq[s] 的值，说明该节点需要移动
+                else if (moved && x !== seq[s]) {
+                    insert(newVNode.el, container, anchor);
+                }
+                else {
+                    // 当 i === seq[s] 时，说明该位置的节点不需要移动, 只需要让 s 指向下一个位置
+                    s--;
                 }
             }
         }
@@ -1138,11 +1530,29 @@ const createRenderer = (option) => {
             })
         }
 
+        // 正在进行的加载请求，多个组件实例、服务端渲染共用同一次加载
+        let pendingRequest = null;
+        const load = () => {
+            return pendingRequest || (pendingRequest = doLoad().then((component) => {
+                InnerComponent = component.default || component;
+                return InnerComponent;
+            }).catch((err) => {
+                // 加载失败后允许重新加载
+                pendingRequest = null;
+                throw err;
+            }));
+        };
+
         return {
             name: 'AsyncComponentWrapper',
-            setup() {
-                // 异步组件是否加载成功
-                const loaded = ref(false);
+            // 流式服务端渲染通过 __asyncLoader 等待组件加载完成，再就地渲染加载到的组件
+            __asyncLoader: load,
+            get __asyncResolved() {
+                return InnerComponent;
+            },
+            setup(props, { attrs, slots }) {
+                // 异步组件是否加载成功，已经加载过的组件直接渲染
+                const loaded = ref(!!InnerComponent);
                 // 异步组件是否加载超时
                 const timeout = ref(false);
                 let timer = null;
@@ -1167,8 +1577,7 @@ const createRenderer = (option) => {
                 }
 
                 // loader 是一个函数，表示异步加载组件的函数
-                doLoad().then((component) => {
-                    InnerComponent = component.default || component;
+                load().then(() => {
                     loaded.value = true;
                 }).catch((err) => {
                     console.error('Async component loading failed:', err);
@@ -1185,17 +1594,19 @@ const createRenderer = (option) => {
                     }, finalOptions.timeout);
                 }
 
-                onUnmounted(() => {
-                    // 清除定时器
+                // 组件卸载或者服务端渲染结束时，组件的 scope 都会停止，此时清除定时器
+                onScopeDispose(() => {
                     timer && clearTimeout(timer);
                     loadingTimer && clearTimeout(loadingTimer);
                 });
 
                 return () => {
                     if (loaded.value) {
-                        // 如果异步组件加载成功，则渲染异步组件
+                        // 如果异步组件加载成功，则渲染异步组件，传递给包装组件的属性与插槽原样传递给它
                         return {
                             type: InnerComponent,
+                            props: { ...attrs },
+                            children: slots,
                         };
                     } else if (error.value && finalOptions.errorComponent) {
                         // 如果异步组件加载超时，则渲染超时提示
@@ -1219,8 +1630,19 @@ const createRenderer = (option) => {
     return {
         defineAsyncComponent,
         render,
+        hydrate,
+        createApp: createAppAPI(render, hydrate, querySelector),
+        onBeforeMount,
         onMounted,
+        onBeforeUpdate,
+        onUpdated,
+        onBeforeUnmount,
         onUnmounted,
+        onActivated,
+        onDeactivated,
+        onErrorCaptured,
+        provide,
+        inject,
         KeepAlive,
         Teleport,
         Transition,
@@ -0,0 +1,307 @@
+/**
+ * @file 服务端渲染器，将虚拟 DOM 渲染为 HTML 字符串或 HTML 流
+ * * 与浏览器端的渲染器不同，服务端渲染只需要组件的初始状态，不需要创建副作用，也不会调用 beforeMount、mounted 等钩子
+ */
+
+import { Readable } from 'stream';
+
+import { VOID_TAGS, BOOLEAN_ATTRS } from '@/utils/dom';
+import { resolveClass, resolveStyle } from '@/utils/style';
+import { ErrorTypes, handleError } from '@/utils/errorHandling';
+
+import { Text, Comment, Fragment, IsKeepAlive, IsTeleport } from './index.js';
+import { createComponentInstance, setupComponent } from './component.js';
+
+// 合法的属性名，不合法的属性名会破坏 HTML 结构，直接忽略
+const ATTR_NAME_RE = /^[^\t\n\f\r "'/<=>`]+$/;
+// 需要转义的字符
+const ESCAPE_RE = /["'&<>]/g;
+const ESCAPE_MAP = {
+    '"': '&quot;',
+    '\'': '&#39;',
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+};
+// 渲染为属性时需要改名的 DOM Properties
+const PROP_TO_ATTR = {
+    className: 'class',
+    htmlFor: 'for',
+};
+
+/**
+ * @description 转义 HTML 特殊字符，文本与属性值都需要转义，避免 XSS
+ * @param {any} value 文本或属性值
+ * @returns {String}
+ */
+export const escapeHtml = (value) => {
+    return String(value).replace(ESCAPE_RE, char => ESCAPE_MAP[char]);
+};
+
+/**
+ * @description 注释内容中不能出现注释的开始或结束标记
+ */
+const escapeHtmlComment = (value) => {
+    return String(value).replace(/^-*>|<!--|--!?>|<!-$/g, '');
+};
+
+/**
+ * * 渲染过程由生成器完成，生成器按文档顺序产出 HTML 片段
+ * * 遇到还未加载完成的异步组件时，生成器会产出组件的加载函数，由调用方决定是否等待:
+ * * 流式渲染会等待加载完成后，把加载结果传回生成器继续渲染；同步渲染不等待，传回 undefined，由异步组件自身渲染占位内容
+ */
+const isLoader = (chunk) => typeof chunk === 'function';
+
+/**
+ * @description 将虚拟节点渲染为 HTML 字符串
+ * * Fragment 会被渲染为 <!--[--> 与 <!--]--> 包裹的内容，客户端激活时以它们作为 Fragment 的首尾锚点
+ * * 同步渲染无法等待异步组件，未加载完成的异步组件会渲染 loading 组件或占位注释，需要等待时使用 renderToStream
+ * @param {Object} vnode 虚拟节点
+ * @returns {String} HTML 字符串
+ *
+ * @example
+ * renderToString({
+ *     type: 'div',
+ *     props: { class: ['box', { active: true }], onClick: () => {} },
+ *     children: [{ type: Text, children: '<b>' }],
+ * })
+ * // => '<div class="box active">&lt;b&gt;</div>'
+ */
+export const renderToString = (vnode) => {
+    let html = '';
+    const iterator = renderVNode(vnode);
+    let result = iterator.next();
+    while (!result.done) {
+        // 同步渲染不等待异步组件
+        isLoader(result.value) || (html += result.value);
+        result = iterator.next();
+    }
+    return html;
+};
+
+/**
+ * @description 流式渲染，返回一个异步可迭代对象，按文档顺序产出 HTML 片段
+ * * 同步的部分会被合并为一个片段，遇到异步组件时先把已经渲染好的部分交给调用方，再等待组件加载完成后就地渲染
+ * * 因此页面中异步组件之前的内容可以尽早发送给浏览器，缩短首字节时间
+ * * 异步组件加载失败时，错误会通过迭代器抛出
+ * @param {Object} vnode 虚拟节点
+ * @returns {AsyncGenerator<String>}
+ *
+ * @example
+ * for await (const chunk of renderToStream({ type: App })) {
+ *     res.write(chunk);
+ * }
+ */
+export async function* renderToStream(vnode) {
+    let buffer = '';
+    const iterator = renderVNode(vnode);
+    try {
+        let result = iterator.next();
+        while (!result.done) {
+            if (isLoader(result.value)) {
+                if (buffer) {
+                    yield buffer;
+                    buffer = '';
+                }
+                let component;
+                try {
+                    component = await result.value();
+                } catch (err) {
+                    // 把加载失败的错误抛回渲染迭代器，外层组件的 finally 会停止它们的 scope，错误随后从这里抛出
+                    result = iterator.throw(err);
+                    continue;
+                }
+                result = iterator.next(component);
+            } else {
+                buffer += result.value;
+                result = iterator.next();
+            }
+        }
+        if (buffer) {
+            yield buffer;
+        }
+    } finally {
+        // 调用方提前结束迭代(例如流被取消)时，同样结束渲染迭代器，执行组件的清理逻辑
+        iterator.return();
+    }
+}
+
+/**
+ * @description 流式渲染为 Node.js 的 Readable 流，可以直接 pipe 到 http.ServerResponse
+ * @param {Object} vnode 虚拟节点
+ * @returns {Readable}
+ *
+ * @example
+ * renderToNodeStream({ type: App }).pipe(res);
+ */
+export const renderToNodeStream = (vnode) => {
+    return Readable.from(renderToStream(vnode), { objectMode: false });
+};
+
+/**
+ * @description 流式渲染为 Web 标准的 ReadableStream，用于 Service Worker、Deno 等环境
+ * * 只有在读取方需要数据时才会继续渲染，流中的数据为 UTF-8 编码的 Uint8Array
+ * @param {Object} vnode 虚拟节点
+ * @returns {ReadableStream<Uint8Array>}
+ *
+ * @example
+ * return new Response(renderToWebStream({ type: App }), {
+ *     headers: { 'Content-Type': 'text/html; charset=utf-8' },
+ * });
+ */
+export const renderToWebStream = (vnode) => {
+    const encoder = new TextEncoder();
+    const iterator = renderToStream(vnode);
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { value, done } = await iterator.next();
+                done ? controller.close() : controller.enqueue(encoder.encode(value));
+            } catch (err) {
+                controller.error(err);
+            }
+        },
+        cancel() {
+            iterator.return();
+        },
+    });
+};
+
+function* renderVNode(vnode, parentComponent = null) {
+    const { type } = vnode;
+    if (typeof type === 'string') {
+        yield* renderElement(vnode, parentComponent);
+    } else if (type === Text) {
+        yield escapeHtml(vnode.children ?? '');
+    } else if (type === Comment) {
+        yield `<!--${escapeHtmlComment(vnode.children ?? '')}-->`;
+    } else if (type === Fragment) {
+        yield '<!--[-->';
+        yield* renderChildren(vnode.children, parentComponent);
+        yield '<!--]-->';
+    } else if (typeof type === 'object' || typeof type === 'function') {
+        yield* renderComponent(vnode, parentComponent);
+    } else {
+        console.warn('无法渲染的节点类型', type);
+    }
+}
+
+function* renderChildren(children, parentComponent) {
+    if (Array.isArray(children)) {
+        for (const child of children) {
+            yield* renderVNode(child, parentComponent);
+        }
+    } else if (children !== null && children !== undefined) {
+        yield escapeHtml(children);
+    }
+}
+
+/**
+ * @description 渲染 DOM 元素
+ */
+function* renderElement(vnode, parentComponent) {
+    const { type: tag, props } = vnode;
+    yield `<${tag}${renderAttrs(props)}>`;
+    if (VOID_TAGS.includes(tag)) {
+        return;
+    }
+
+    if (props?.innerHTML !== undefined && props.innerHTML !== null) {
+        yield props.innerHTML;
+    } else if (props?.textContent !== undefined && props.textContent !== null) {
+        yield escapeHtml(props.textContent);
+    } else {
+        yield* renderChildren(vnode.children, parentComponent);
+    }
+    yield `</${tag}>`;
+}
+
+/**
+ * @description 渲染元素的属性
+ * * 事件、key、ref 等只在客户端有意义的属性会被忽略
+ * * class 与 style 会经过 resolveClass、resolveStyle 处理
+ * * 与 selfSetAttribute 保持一致，布尔属性的值为空字符串时代表 true
+ * @param {Object} props 元素的 props
+ * @returns {String} 以空格开头的属性字符串
+ */
+const renderAttrs = (props) => {
+    let attrs = '';
+    for (const key in props) {
+        const value = props[key];
+        if (
+            key === 'key'
+            || key === 'ref'
+            || key === 'innerHTML'
+            || key === 'textContent'
+            || /^on[A-Z]/.test(key)
+        ) {
+            continue;
+        }
+
+        const name = PROP_TO_ATTR[key] || key;
+        if (!ATTR_NAME_RE.test(name)) {
+            console.warn(`不合法的属性名: ${name}`);
+            continue;
+        }
+
+        if (name === 'class') {
+            const className = resolveClass(value);
+            className && (attrs += ` class="${escapeHtml(className)}"`);
+        } else if (name === 'style') {
+            const style = resolveStyle(value);
+            style && (attrs += ` style="${escapeHtml(style)}"`);
+        } else if (BOOLEAN_ATTRS.includes(name.toLowerCase())) {
+            (value || value === '') && (attrs += ` ${name}`);
+        } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+            attrs += ` ${name}="${escapeHtml(value)}"`;
+        }
+    }
+    return attrs;
+};
+
+/**
+ * @description 渲染组件，执行 data、setup 得到初始状态后，渲染组件的子树
+ * @param {Object} vnode 组件的虚拟节点
+ * @param {Object} parentComponent 父组件实例
+ */
+function* renderComponent(vnode, parentComponent) {
+    const { type } = vnode;
+    if (type[IsTeleport]) {
+        // Teleport 的内容需要渲染到其他容器中，服务端只保留占位
+        yield '<!--teleport start--><!--teleport end-->';
+        return;
+    }
+    if (type[IsKeepAlive]) {
+        // 服务端不存在组件的缓存，KeepAlive 直接渲染它的默认插槽
+        yield* renderVNode(vnode.children.default(), parentComponent);
+        return;
+    }
+    if (type.__asyncLoader) {
+        // 异步组件加载完成后，与客户端一样渲染加载到的组件
+        const component = type.__asyncResolved || (yield type.__asyncLoader);
+        if (component) {
+            // 保留 props、插槽与 key，与客户端渲染的结果一致
+            yield* renderVNode({ ...vnode, type: component }, parentComponent);
+            return;
+        }
+    }
+
+    const instance = createComponentInstance(vnode, parentComponent);
+    try {
+        setupComponent(instance);
+        const { render, proxy: renderContext } = instance;
+        let subTree;
+        try {
+            subTree = render.call(renderContext, renderContext);
+        } catch (err) {
+            // 与客户端一致，渲染函数出错时渲染一个注释节点占位
+            handleError(err, instance, ErrorTypes.RENDER_FUNCTION);
+            subTree = { type: Comment, children: '' };
+        }
+        instance.subTree = subTree;
+        yield* renderVNode(subTree, instance);
+    } finally {
+        // 服务端的组件不会更新，渲染完成(或者流被取消)后停止 setup 中创建的 watch、computed，避免一直持有响应式数据的订阅
+        instance.scope.stop();
+    }
+}
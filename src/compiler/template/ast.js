@@ -0,0 +1,119 @@
+/**
+ * @file 模板编译器中用到的 AST 节点类型以及 JavaScript AST 的构造函数
+ */
+
+/**
+ * @description AST 节点类型
+ * * 模板 AST: Root、Element、Text、Comment、Interpolation、Expression、Attribute、Directive，每个节点都带有 loc
+ * * 转换阶段产生的节点: If、IfBranch、For、CompoundExpression
+ * * 用于生成代码的 JavaScript AST: JS_XXX 以及 VNode
+ * @readonly
+ */
+export const NodeTypes = {
+    ROOT: 'Root',
+    ELEMENT: 'Element',
+    TEXT: 'Text',
+    COMMENT: 'Comment',
+    INTERPOLATION: 'Interpolation',
+    SIMPLE_EXPRESSION: 'Expression',
+    ATTRIBUTE: 'Attribute',
+    DIRECTIVE: 'Directive',
+
+    IF: 'If',
+    IF_BRANCH: 'IfBranch',
+    FOR: 'For',
+    COMPOUND_EXPRESSION: 'CompoundExpression',
+
+    VNODE: 'VNode',
+    JS_OBJECT_EXPRESSION: 'ObjectExpression',
+    JS_PROPERTY: 'Property',
+    JS_ARRAY_EXPRESSION: 'ArrayExpression',
+    JS_CALL_EXPRESSION: 'CallExpression',
+    JS_FUNCTION_EXPRESSION: 'FunctionExpression',
+    JS_CONDITIONAL_EXPRESSION: 'ConditionalExpression',
+};
+
+/**
+ * @description 创建表达式节点
+ * @param {String} content 表达式内容
+ * @param {Boolean} isStatic 是否是静态值，静态值在生成代码时会被序列化为字符串字面量
+ * @param {Object} loc 表达式在模板中的位置，转换阶段创建的表达式没有位置
+ */
+export const createSimpleExpression = (content, isStatic = false, loc = null) => ({
+    type: NodeTypes.SIMPLE_EXPRESSION,
+    content,
+    isStatic,
+    loc,
+});
+
+/**
+ * @description 创建对象表达式，properties 中 key 为 null 的属性代表展开运算 ...value
+ * @param {Array} properties 属性列表
+ */
+export const createObjectExpression = (properties = []) => ({
+    type: NodeTypes.JS_OBJECT_EXPRESSION,
+    properties,
+});
+
+export const createObjectProperty = (key, value) => ({
+    type: NodeTypes.JS_PROPERTY,
+    key,
+    value,
+});
+
+export const createArrayExpression = (elements = []) => ({
+    type: NodeTypes.JS_ARRAY_EXPRESSION,
+    elements,
+});
+
+/**
+ * @description 创建函数调用表达式
+ * @param {String} callee 被调用的函数名，一般是运行时辅助函数
+ * @param {Array} args 参数列表
+ */
+export const createCallExpression = (callee, args = []) => ({
+    type: NodeTypes.JS_CALL_EXPRESSION,
+    callee,
+    arguments: args,
+});
+
+/**
+ * @description 创建箭头函数表达式
+ * @param {Array<String>} params 形参列表
+ * @param {Object} returns 函数的返回值
+ */
+export const createFunctionExpression = (params = [], returns = null) => ({
+    type: NodeTypes.JS_FUNCTION_EXPRESSION,
+    params,
+    returns,
+});
+
+export const createConditionalExpression = (test, consequent, alternate) => ({
+    type: NodeTypes.JS_CONDITIONAL_EXPRESSION,
+    test,
+    consequent,
+    alternate,
+});
+
+/**
+ * @description 创建虚拟节点的描述，生成代码时会变成 createVNode(type, props, children, patchFlag, dynamicProps) 调用
+ * @param {Object} type 节点类型的表达式
+ * @param {Object} props 属性的对象表达式，key 也包含在其中
+ * @param {Object} children 子节点，可能是文本表达式、数组表达式或插槽对象表达式
+ * @param {Number} patchFlag 补丁标志
+ * @param {Array<String>} dynamicProps 动态属性的名称
+ * @param {Object} directives 自定义指令的数组表达式，生成代码时 vnode 会被 withDirectives 包裹
+ */
+export const createVNodeCall = (type, props = null, children = null, patchFlag = 0, dynamicProps = null, directives = null) => ({
+    type: NodeTypes.VNODE,
+    tag: type,
+    props,
+    children,
+    patchFlag,
+    dynamicProps,
+    directives,
+    // 是否是 Block，Block 生成的代码为 (openBlock(), createBlock(...))
+    isBlock: false,
+    // Block 是否停止收集动态节点，用于 v-for 生成的 Fragment
+    disableTracking: false,
+});
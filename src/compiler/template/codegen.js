@@ -0,0 +1,293 @@
+/**
+ * @file 代码生成器，根据转换后的 codegenNode 生成渲染函数的代码
+ */
+
+import { NodeTypes } from './ast.js';
+import { toComponentVar, toDirectiveVar } from './transform.js';
+import { PatchFlags } from '../vnode.js';
+
+// 合法的标识符可以直接作为对象的 key，否则需要加上引号
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * @description 创建代码生成上下文
+ */
+const createCodegenContext = () => {
+    return {
+        // 最终生成的代码
+        code: '',
+        // 当前的缩进级别
+        indentLevel: 0,
+        push(code) {
+            this.code += code;
+        },
+        newline() {
+            this.code += `\n${'    '.repeat(this.indentLevel)}`;
+        },
+        indent() {
+            this.indentLevel++;
+            this.newline();
+        },
+        deIndent() {
+            this.indentLevel--;
+            this.newline();
+        },
+    };
+};
+
+/**
+ * @description 生成渲染函数的代码
+ * * 运行时辅助函数通过参数 _helpers 传入，静态提升的 vnode 定义在渲染函数之外，只会创建一次
+ * * 渲染函数中使用 with 语句访问渲染上下文
+ * @param {Object} ast 经过 transform 处理的模板 AST
+ * @returns {{ code: String, ast: Object }}
+ *
+ * @example
+ * const { createVNode: _createVNode, toDisplayString: _toDisplayString } = _helpers;
+ * const _hoisted_1 = _createVNode("span", null, "static", -1 /* HOISTED *\/);
+ *
+ * return function render(_ctx) {
+ *     with (_ctx) {
+ *         return (_openBlock(), _createBlock("div", null, [
+ *             _hoisted_1,
+ *             _createVNode("p", { id: id }, _toDisplayString(msg), 9 /* TEXT, PROPS *\/, ["id"]),
+ *         ]));
+ *     }
+ * }
+ */
+export const generate = (ast) => {
+    const context = createCodegenContext();
+    const { push, indent, deIndent, newline } = bindContext(context);
+
+    if (ast.helpers.length) {
+        push(`const { ${ast.helpers.map(name => `${name}: _${name}`).join(', ')} } = _helpers;`);
+        newline();
+    }
+    ast.hoists.forEach((exp, i) => {
+        push(`const _hoisted_${i + 1} = `);
+        genNode(exp, context);
+        push(';');
+        newline();
+    });
+    (ast.helpers.length || ast.hoists.length) && newline();
+
+    push('return function render(_ctx) {');
+    indent();
+    push('with (_ctx) {');
+    indent();
+
+    ast.components.forEach(tag => {
+        push(`const ${toComponentVar(tag)} = _resolveComponent(_ctx, ${JSON.stringify(tag)});`);
+        newline();
+    });
+    ast.directives.forEach(name => {
+        push(`const ${toDirectiveVar(name)} = _resolveDirective(_ctx, ${JSON.stringify(name)});`);
+        newline();
+    });
+
+    push('return ');
+    genNode(ast.codegenNode, context);
+    push(';');
+
+    deIndent();
+    push('}');
+    deIndent();
+    push('}');
+
+    return {
+        ast,
+        code: context.code,
+    };
+};
+
+const bindContext = (context) => ({
+    push: context.push.bind(context),
+    indent: context.indent.bind(context),
+    deIndent: context.deIndent.bind(context),
+    newline: context.newline.bind(context),
+});
+
+const genNode = (node, context) => {
+    switch (node.type) {
+        case NodeTypes.ELEMENT:
+        case NodeTypes.IF:
+        case NodeTypes.FOR:
+            genNode(node.codegenNode, context);
+            break;
+        case NodeTypes.TEXT:
+            context.push(JSON.stringify(node.content));
+            break;
+        case NodeTypes.SIMPLE_EXPRESSION:
+            context.push(node.isStatic ? JSON.stringify(node.content) : node.content);
+            break;
+        case NodeTypes.INTERPOLATION:
+            context.push('_toDisplayString(');
+            genNode(node.content, context);
+            context.push(')');
+            break;
+        case NodeTypes.COMPOUND_EXPRESSION:
+            genCompoundExpression(node, context);
+            break;
+        case NodeTypes.VNODE:
+            genVNodeCall(node, context);
+            break;
+        case NodeTypes.JS_OBJECT_EXPRESSION:
+            genObjectExpression(node, context);
+            break;
+        case NodeTypes.JS_ARRAY_EXPRESSION:
+            genArrayExpression(node, context);
+            break;
+        case NodeTypes.JS_CALL_EXPRESSION:
+            genCallExpression(node, context);
+            break;
+        case NodeTypes.JS_FUNCTION_EXPRESSION:
+            genFunctionExpression(node, context);
+            break;
+        case NodeTypes.JS_CONDITIONAL_EXPRESSION:
+            genConditionalExpression(node, context);
+            break;
+        default:
+            throw new Error(`未知的节点类型: ${node.type}`);
+    }
+};
+
+const genCompoundExpression = (node, context) => {
+    node.children.forEach((child, i) => {
+        i > 0 && context.push(' + ');
+        genNode(child, context);
+    });
+};
+
+/**
+ * @description 生成 createVNode(type, props, children, patchFlag, dynamicProps) 调用，省略末尾的空参数
+ * * Block 生成 (openBlock(), createBlock(...))，逗号表达式保证 openBlock 先于子节点的创建执行
+ * * 使用了自定义指令的 vnode 生成 withDirectives(createVNode(...), [[指令, 值, 参数, 修饰符]])
+ */
+const genVNodeCall = (node, context) => {
+    const { push } = bindContext(context);
+    const { tag, props, children, patchFlag, dynamicProps, isBlock, disableTracking, directives } = node;
+    const args = [tag, props, children];
+    if (patchFlag) {
+        args.push(`${patchFlag} /* ${getPatchFlagNames(patchFlag)} */`);
+    }
+    if (dynamicProps) {
+        args.push(JSON.stringify(dynamicProps));
+    }
+    while (!args[args.length - 1]) {
+        args.pop();
+    }
+
+    directives && push('_withDirectives(');
+    push(isBlock ? `(_openBlock(${disableTracking ? 'true' : ''}), _createBlock(` : '_createVNode(');
+    args.forEach((arg, i) => {
+        i > 0 && push(', ');
+        if (!arg) {
+            push('null');
+        } else if (typeof arg === 'string') {
+            push(arg);
+        } else {
+            genNode(arg, context);
+        }
+    });
+    push(isBlock ? '))' : ')');
+    if (directives) {
+        push(', ');
+        genNode(directives, context);
+        push(')');
+    }
+};
+
+/**
+ * @description 补丁标志的名称，生成在注释中方便阅读，例如 TEXT, CLASS
+ */
+const getPatchFlagNames = (patchFlag) => {
+    if (patchFlag === PatchFlags.HOISTED) {
+        return 'HOISTED';
+    }
+    return Object.keys(PatchFlags)
+        .filter(name => PatchFlags[name] > 0 && patchFlag & PatchFlags[name])
+        .join(', ');
+};
+
+const genPropertyKey = (key) => IDENTIFIER_RE.test(key) ? key : JSON.stringify(key);
+
+/**
+ * @description 生成对象字面量，包含函数(插槽)的对象会换行展示
+ */
+const genObjectExpression = (node, context) => {
+    const { push, indent, deIndent, newline } = bindContext(context);
+    const { properties } = node;
+    const multiline = properties.some(p => p.value.type === NodeTypes.JS_FUNCTION_EXPRESSION);
+
+    push('{');
+    multiline ? indent() : push(' ');
+    properties.forEach((property, i) => {
+        if (property.key === null) {
+            push('...');
+        } else {
+            push(`${genPropertyKey(property.key)}: `);
+        }
+        genNode(property.value, context);
+        if (multiline) {
+            push(',');
+            i < properties.length - 1 && newline();
+        } else if (i < properties.length - 1) {
+            push(', ');
+        }
+    });
+    multiline ? deIndent() : push(' ');
+    push('}');
+};
+
+const genArrayExpression = (node, context) => {
+    const { push, indent, deIndent, newline } = bindContext(context);
+    const { elements } = node;
+    // 子节点数组逐行展示，其他数组保持在一行
+    const multiline = elements.some(el => el.type === NodeTypes.VNODE || el.type === NodeTypes.JS_CONDITIONAL_EXPRESSION);
+
+    push('[');
+    multiline && indent();
+    elements.forEach((element, i) => {
+        genNode(element, context);
+        if (multiline) {
+            push(',');
+            i < elements.length - 1 && newline();
+        } else if (i < elements.length - 1) {
+            push(', ');
+        }
+    });
+    multiline && deIndent();
+    push(']');
+};
+
+const genCallExpression = (node, context) => {
+    context.push(`${node.callee}(`);
+    node.arguments.forEach((arg, i) => {
+        i > 0 && context.push(', ');
+        genNode(arg, context);
+    });
+    context.push(')');
+};
+
+/**
+ * @description 生成箭头函数，返回值使用括号包裹，避免对象字面量被当成函数体
+ */
+const genFunctionExpression = (node, context) => {
+    context.push(`(${node.params.join(', ')}) => (`);
+    genNode(node.returns, context);
+    context.push(')');
+};
+
+const genConditionalExpression = (node, context) => {
+    const { push, indent, deIndent, newline } = bindContext(context);
+    push('(');
+    genNode(node.test, context);
+    push(')');
+    indent();
+    push('? ');
+    genNode(node.consequent, context);
+    newline();
+    push(': ');
+    genNode(node.alternate, context);
+    context.indentLevel--;
+};
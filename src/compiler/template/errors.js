@@ -0,0 +1,80 @@
+/**
+ * @file 模板编译过程中的错误
+ */
+
+/**
+ * @description 错误码
+ * * 解析阶段的错误与 HTML 的语法相关
+ * * X_ 开头的错误与指令相关
+ * @readonly
+ */
+export const ErrorCodes = {
+    EOF_IN_TAG: 'EOF_IN_TAG',
+    EOF_IN_COMMENT: 'EOF_IN_COMMENT',
+    MISSING_END_TAG: 'MISSING_END_TAG',
+    INVALID_END_TAG: 'INVALID_END_TAG',
+    DUPLICATE_ATTRIBUTE: 'DUPLICATE_ATTRIBUTE',
+    MISSING_ATTRIBUTE_VALUE: 'MISSING_ATTRIBUTE_VALUE',
+    MISSING_INTERPOLATION_END: 'MISSING_INTERPOLATION_END',
+    INVALID_CHARACTER_REFERENCE: 'INVALID_CHARACTER_REFERENCE',
+
+    X_MISSING_DIRECTIVE_ARGUMENT: 'X_MISSING_DIRECTIVE_ARGUMENT',
+    X_INVALID_DIRECTIVE_MODIFIER: 'X_INVALID_DIRECTIVE_MODIFIER',
+    X_DYNAMIC_ARGUMENT_UNSUPPORTED: 'X_DYNAMIC_ARGUMENT_UNSUPPORTED',
+    X_V_IF_NO_EXPRESSION: 'X_V_IF_NO_EXPRESSION',
+    X_V_ELSE_NO_ADJACENT_IF: 'X_V_ELSE_NO_ADJACENT_IF',
+    X_V_FOR_NO_EXPRESSION: 'X_V_FOR_NO_EXPRESSION',
+    X_V_FOR_MALFORMED_EXPRESSION: 'X_V_FOR_MALFORMED_EXPRESSION',
+    X_V_BIND_NO_EXPRESSION: 'X_V_BIND_NO_EXPRESSION',
+    X_V_ON_NO_EXPRESSION: 'X_V_ON_NO_EXPRESSION',
+};
+
+const ErrorMessages = {
+    [ErrorCodes.EOF_IN_TAG]: '标签没有正确结束',
+    [ErrorCodes.EOF_IN_COMMENT]: '注释缺少结束标记 -->',
+    [ErrorCodes.MISSING_END_TAG]: '元素缺少结束标签',
+    [ErrorCodes.INVALID_END_TAG]: '无效的结束标签',
+    [ErrorCodes.DUPLICATE_ATTRIBUTE]: '重复的属性',
+    [ErrorCodes.MISSING_ATTRIBUTE_VALUE]: '属性缺少属性值',
+    [ErrorCodes.MISSING_INTERPOLATION_END]: '插值缺少结束定界符 }}',
+    [ErrorCodes.INVALID_CHARACTER_REFERENCE]: '无效的字符引用，码点超出 Unicode 范围或者为代理项',
+
+    [ErrorCodes.X_MISSING_DIRECTIVE_ARGUMENT]: '指令缺少参数',
+    [ErrorCodes.X_INVALID_DIRECTIVE_MODIFIER]: '无效的指令修饰符',
+    [ErrorCodes.X_DYNAMIC_ARGUMENT_UNSUPPORTED]: '暂不支持动态指令参数',
+    [ErrorCodes.X_V_IF_NO_EXPRESSION]: 'v-if/v-else-if 缺少表达式',
+    [ErrorCodes.X_V_ELSE_NO_ADJACENT_IF]: 'v-else/v-else-if 必须紧跟在 v-if 或 v-else-if 所在的元素之后',
+    [ErrorCodes.X_V_FOR_NO_EXPRESSION]: 'v-for 缺少表达式',
+    [ErrorCodes.X_V_FOR_MALFORMED_EXPRESSION]: '无效的 v-for 表达式',
+    [ErrorCodes.X_V_BIND_NO_EXPRESSION]: 'v-bind 缺少表达式',
+    [ErrorCodes.X_V_ON_NO_EXPRESSION]: 'v-on 缺少表达式',
+};
+
+/**
+ * @description 编译错误，携带错误码以及出错的位置
+ * * loc: { start: { line, column, offset }, end: { line, column, offset }, source }
+ */
+export class CompilerError extends SyntaxError {
+    constructor(code, loc) {
+        super(loc ? `${ErrorMessages[code]} (${loc.start.line}:${loc.start.column})` : ErrorMessages[code]);
+        this.name = 'CompilerError';
+        this.code = code;
+        this.loc = loc;
+    }
+}
+
+/**
+ * @description 创建编译错误
+ * @param {String} code 错误码，见 ErrorCodes
+ * @param {Object} loc 出错的位置
+ * @returns {CompilerError}
+ */
+export const createCompilerError = (code, loc) => new CompilerError(code, loc);
+
+/**
+ * @description 默认的错误处理方式，直接抛出错误
+ * * 需要收集所有错误的场景(例如 lint 工具)可以传入自定义的 onError
+ */
+export const defaultOnError = (error) => {
+    throw error;
+};
@@ -0,0 +1,168 @@
+/**
+ * @file 渲染函数在运行时用到的辅助函数，编译生成的代码通过 _helpers 访问它们
+ */
+
+import { camelize, capitalize } from '@/utils/index';
+
+import { Comment } from '../index.js';
+import { createVNode, trackVNode } from '../vnode.js';
+
+export { Text, Comment, Fragment } from '../index.js';
+export { createVNode, openBlock, createBlock } from '../vnode.js';
+export { resolveClass as normalizeClass, resolveStyle as normalizeStyle } from '@/utils/style';
+
+/**
+ * @description 插值 {{ }} 的展示内容，对象会被格式化为 JSON
+ * @param {any} value 插值表达式的值
+ * @returns {String}
+ */
+export const toDisplayString = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value, null, 2);
+    }
+    return String(value);
+};
+
+/**
+ * @description v-for 的运行时实现，支持数组、字符串、数字、可迭代对象以及普通对象
+ * @param {any} source 数据源
+ * @param {Function} renderItem 为每一项生成 vnode 的函数
+ * @returns {Array} vnode 数组
+ */
+export const renderList = (source, renderItem) => {
+    if (Array.isArray(source) || typeof source === 'string') {
+        return Array.from(source, (item, index) => renderItem(item, index));
+    }
+    if (typeof source === 'number') {
+        // v-for="n in 10" 从 1 开始
+        return Array.from({ length: source }, (_, index) => renderItem(index + 1, index));
+    }
+    if (source && typeof source === 'object') {
+        if (typeof source[Symbol.iterator] === 'function') {
+            return Array.from(source, (item, index) => renderItem(item, index));
+        }
+        // 普通对象: (value, key, index)
+        return Object.keys(source).map((key, index) => renderItem(source[key], key, index));
+    }
+    return [];
+};
+
+/**
+ * @description <slot> 的运行时实现，插槽不存在时渲染后备内容
+ * * 插槽内容可能是手写的 vnode，需要加入当前的 Block，保证更新时被完整地 diff
+ * @param {Object} slots 组件的插槽对象，即 vnode.children
+ * @param {String} name 插槽名称
+ * @param {Object} props 传递给插槽的数据
+ * @param {Function} fallback 后备内容
+ */
+export const renderSlot = (slots, name, props = {}, fallback) => {
+    const slot = slots?.[name];
+    if (slot) {
+        return trackVNode(slot(props));
+    }
+    if (fallback) {
+        return trackVNode(fallback());
+    }
+    return createVNode(Comment, null, 'slot');
+};
+
+/**
+ * @description 解析模板中使用的组件，先从组件选项的 components 中查找，再从应用全局注册的组件中查找
+ * * 找不到组件时按普通元素处理，例如自定义元素 <my-element>
+ * @param {Object} ctx 渲染上下文
+ * @param {String} name 模板中的标签名
+ */
+export const resolveComponent = (ctx, name) => {
+    const resolve = (components) => components && (
+        components[name]
+        || components[camelize(name)]
+        || components[capitalize(camelize(name))]
+    );
+    const component = resolve(ctx.$options?.components) || resolve(ctx.$?.appContext.components);
+    if (component) {
+        return component;
+    }
+    console.warn(`无法解析组件: ${name}`);
+    return name;
+};
+
+/**
+ * @description 解析模板中使用的自定义指令，先从组件选项的 directives 中查找，再从应用全局注册的指令中查找
+ * @param {Object} ctx 渲染上下文
+ * @param {String} name 指令名，不包含 v- 前缀
+ */
+export const resolveDirective = (ctx, name) => {
+    const resolve = (directives) => directives && (directives[name] || directives[camelize(name)]);
+    const directive = resolve(ctx.$options?.directives) || resolve(ctx.$?.appContext.directives);
+    if (directive) {
+        return directive;
+    }
+    console.warn(`无法解析指令: ${name}`);
+};
+
+/**
+ * @description 为 vnode 添加自定义指令，渲染器在元素挂载、更新、卸载时调用指令的钩子
+ * * 函数形式的指令等同于只定义了 mounted 与 updated 钩子
+ * @param {Object} vnode 元素的虚拟节点
+ * @param {Array} directives [指令, 值, 参数, 修饰符] 组成的数组
+ * @returns {Object} vnode
+ */
+export const withDirectives = (vnode, directives) => {
+    if (typeof vnode.type !== 'string') {
+        console.warn('自定义指令只能用于元素');
+        return vnode;
+    }
+    // 无法解析的指令已经在 resolveDirective 中警告过了，保留它的位置，保证更新时新旧指令一一对应
+    vnode.dirs = directives.map(([dir, value, arg, modifiers = {}]) => ({
+        dir: typeof dir === 'function' ? { mounted: dir, updated: dir } : dir,
+        value,
+        oldValue: undefined,
+        arg,
+        modifiers,
+    }));
+    return vnode;
+};
+
+// 事件修饰符，返回 true 时代表不执行事件处理函数
+const modifierGuards = {
+    stop: e => e.stopPropagation(),
+    prevent: e => e.preventDefault(),
+    self: e => e.target !== e.currentTarget,
+    ctrl: e => !e.ctrlKey,
+    shift: e => !e.shiftKey,
+    alt: e => !e.altKey,
+    meta: e => !e.metaKey,
+    left: e => 'button' in e && e.button !== 0,
+    middle: e => 'button' in e && e.button !== 1,
+    right: e => 'button' in e && e.button !== 2,
+};
+
+/**
+ * @description 为事件处理函数添加修饰符，例如 @click.stop.prevent="handler"
+ * @param {Function} fn 事件处理函数
+ * @param {Array<String>} modifiers 修饰符
+ */
+export const withModifiers = (fn, modifiers) => {
+    return (event, ...args) => {
+        for (const modifier of modifiers) {
+            const guard = modifierGuards[modifier];
+            if (guard && guard(event)) return;
+        }
+        return fn(event, ...args);
+    };
+};
+
+/**
+ * @description v-on="{ click: handler }" => { onClick: handler }
+ * @param {Object} obj 事件对象
+ */
+export const toHandlers = (obj) => {
+    const handlers = {};
+    for (const key in obj) {
+        handlers[`on${capitalize(key)}`] = obj[key];
+    }
+    return handlers;
+};
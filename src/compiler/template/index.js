@@ -0,0 +1,50 @@
+/**
+ * @file 模板编译器
+ * * parse: 模板字符串 => 模板 AST
+ * * transform: 模板 AST => 带有 codegenNode 的模板 AST
+ * * generate: codegenNode => 渲染函数的代码
+ */
+
+import { parse } from './parse.js';
+import { transform } from './transform.js';
+import { generate } from './codegen.js';
+import { NodeTypes } from './ast.js';
+import { ErrorCodes, CompilerError } from './errors.js';
+import * as helpers from './helpers.js';
+
+// 缓存编译结果，相同的模板只编译一次
+const compileCache = new Map();
+
+/**
+ * @description 将模板编译为渲染函数的代码
+ * @param {String} template 模板字符串
+ * @param {Object} options 编译选项
+ * @param {Function} options.onError 错误处理函数，接收 CompilerError，默认直接抛出
+ * @returns {{ code: String, ast: Object }}
+ */
+export const compile = (template, options = {}) => {
+    const ast = parse(template, options);
+    transform(ast, options);
+    return generate(ast);
+};
+
+/**
+ * @description 将模板编译为渲染函数，渲染函数返回的 vnode 与手写的 { type, props, children } 结构一致
+ * @param {String} template 模板字符串
+ * @returns {Function} 渲染函数 render(_ctx)
+ *
+ * @example
+ * const render = compileToFunction('<div @click="count++">{{ count }}</div>');
+ * render({ count: 0 }) // { type: 'div', props: { onClick: ... }, children: '0' }
+ */
+export const compileToFunction = (template) => {
+    const cached = compileCache.get(template);
+    if (cached) return cached;
+
+    const { code } = compile(template);
+    const render = new Function('_helpers', code)(helpers);
+    compileCache.set(template, render);
+    return render;
+};
+
+export { parse, transform, generate, NodeTypes, ErrorCodes, CompilerError };
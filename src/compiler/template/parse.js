@@ -0,0 +1,617 @@
+/**
+ * @file 模板解析器，将模板字符串解析为模板 AST
+ * * 每个节点都带有 loc，记录节点在模板中的位置，编辑器、lint 等工具可以在不渲染的情况下分析模板
+ */
+
+import { hasOwn } from '@/utils/index';
+import { VOID_TAGS } from '@/utils/dom';
+
+import { NodeTypes, createSimpleExpression } from './ast.js';
+import { ErrorCodes, createCompilerError, defaultOnError } from './errors.js';
+
+/**
+ * @description 解析器的文本模式，不同模式下解析器对 < 与 & 等字符的处理方式不同
+ * * DATA: 能够解析标签与 HTML 实体，默认模式
+ * * RCDATA: <textarea>、<title>，不能解析标签，但能解析 HTML 实体
+ * * RAWTEXT: <style>、<script> 等，标签与 HTML 实体都不会被解析
+ * @readonly
+ */
+export const TextModes = {
+    DATA: 'DATA',
+    RCDATA: 'RCDATA',
+    RAWTEXT: 'RAWTEXT',
+};
+
+const RCDATA_TAGS = ['textarea', 'title'];
+const RAWTEXT_TAGS = ['style', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'script'];
+
+// 指令的简写: :foo => v-bind:foo, @foo => v-on:foo, #foo => v-slot:foo
+const DIRECTIVE_RE = /^(v-[A-Za-z0-9-]|:|\.|@|#)/;
+// 分别匹配指令名称、参数以及修饰符，例如 v-on:click.stop => on、click、.stop
+const DIRECTIVE_PARTS_RE = /(?:^v-([a-z0-9-]+))?(?:(?::|^\.|^@|^#)(\[[^\]]+\]|[^.]+))?(.+)?$/i;
+
+// 常用的 HTML 命名字符引用
+const NAMED_CHARACTER_REFERENCES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    apos: '\'',
+    quot: '"',
+    nbsp: ' ',
+};
+
+/**
+ * @description 创建解析器上下文
+ * @param {String} source 模板字符串
+ * @param {Object} options 解析选项
+ */
+const createParserContext = (source, options) => {
+    return {
+        // 模板内容，解析过程中会不断被消费
+        source,
+        // 完整的模板，用于截取节点对应的源码
+        originalSource: source,
+        // 当前位置，line 与 column 从 1 开始，offset 从 0 开始
+        offset: 0,
+        line: 1,
+        column: 1,
+        // 当前的文本模式
+        mode: TextModes.DATA,
+        // 错误处理函数，默认直接抛出
+        onError: options.onError || defaultOnError,
+        // 消费指定数量的字符，同时更新当前位置
+        advanceBy(num) {
+            advancePosition(this, this.source, num);
+            this.source = this.source.slice(num);
+        },
+        // 消费空白字符
+        advanceSpaces() {
+            const match = /^[\t\r\n\f ]+/.exec(this.source);
+            if (match) {
+                this.advanceBy(match[0].length);
+            }
+        },
+    };
+};
+
+/**
+ * @description 根据消费的字符更新位置
+ * @param {Object} pos 需要更新的位置 { line, column, offset }
+ * @param {String} source 从当前位置开始的模板内容
+ * @param {Number} num 消费的字符数量
+ */
+const advancePosition = (pos, source, num) => {
+    let lines = 0;
+    let lastNewLineIndex = -1;
+    for (let i = 0; i < num; i++) {
+        if (source[i] === '\n') {
+            lines++;
+            lastNewLineIndex = i;
+        }
+    }
+    pos.offset += num;
+    pos.line += lines;
+    pos.column = lastNewLineIndex === -1 ? pos.column + num : num - lastNewLineIndex;
+    return pos;
+};
+
+const getCursor = (context) => {
+    const { line, column, offset } = context;
+    return { line, column, offset };
+};
+
+/**
+ * @description 从 start 向后移动 num 个字符，得到新的位置，不会消费模板
+ */
+const getNewPosition = (context, start, num) => {
+    return advancePosition({ ...start }, context.originalSource.slice(start.offset), num);
+};
+
+/**
+ * @description 生成节点的 loc: { start, end, source }
+ */
+const getSelection = (context, start, end = getCursor(context)) => {
+    return {
+        start,
+        end,
+        source: context.originalSource.slice(start.offset, end.offset),
+    };
+};
+
+const emitError = (context, code, start = getCursor(context), end = start) => {
+    context.onError(createCompilerError(code, getSelection(context, start, end)));
+};
+
+/**
+ * @description 将模板字符串解析为模板 AST
+ * * 遇到错误时调用 options.onError，onError 不抛出错误时解析器会尽量恢复并继续解析
+ * @param {String} template 模板字符串
+ * @param {Object} options 解析选项
+ * @param {Function} options.onError 错误处理函数，接收 CompilerError，默认直接抛出
+ * @returns {Object} Root 节点
+ *
+ * @example
+ * parse('<div :id="id">{{ msg }}</div>')
+ * {
+ *     type: 'Root',
+ *     children: [
+ *         {
+ *             type: 'Element',
+ *             tag: 'div',
+ *             props: [
+ *                 {
+ *                     type: 'Directive',
+ *                     name: 'bind',
+ *                     arg: { type: 'Expression', content: 'id', isStatic: true, loc },
+ *                     exp: { type: 'Expression', content: 'id', isStatic: false, loc },
+ *                     modifiers: [],
+ *                     loc,
+ *                 },
+ *             ],
+ *             children: [{ type: 'Interpolation', content: { type: 'Expression', content: 'msg', loc }, loc }],
+ *             loc: {
+ *                 start: { line: 1, column: 1, offset: 0 },
+ *                 end: { line: 1, column: 30, offset: 29 },
+ *                 source: '<div :id="id">{{ msg }}</div>',
+ *             },
+ *         },
+ *     ],
+ *     loc,
+ * }
+ */
+export const parse = (template, options = {}) => {
+    const context = createParserContext(template, options);
+    const start = getCursor(context);
+    return {
+        type: NodeTypes.ROOT,
+        children: parseChildren(context, []),
+        loc: getSelection(context, start),
+    };
+};
+
+/**
+ * @description 解析子节点，本质上是一个状态机，直到遇到父级的结束标签或模板消费完毕
+ * @param {Object} context 解析器上下文
+ * @param {Array} ancestors 祖先元素组成的栈，用来判断是否遇到了结束标签
+ */
+const parseChildren = (context, ancestors) => {
+    const nodes = [];
+
+    while (!isEnd(context, ancestors)) {
+        const { mode, source } = context;
+        let node = null;
+
+        // 只有 DATA 模式才支持标签节点的解析，DATA 和 RCDATA 模式才支持插值的解析
+        if (mode === TextModes.DATA || mode === TextModes.RCDATA) {
+            if (mode === TextModes.DATA && source[0] === '<') {
+                if (source.startsWith('<!--')) {
+                    node = parseComment(context);
+                } else if (source[1] === '/' && /[a-z]/i.test(source[2])) {
+                    // 父级元素会消费自己的结束标签，走到这里说明是一个多余的结束标签，报错后跳过它
+                    const start = getCursor(context);
+                    parseTag(context, 'end');
+                    emitError(context, ErrorCodes.INVALID_END_TAG, start, getCursor(context));
+                    continue;
+                } else if (/[a-z]/i.test(source[1])) {
+                    node = parseElement(context, ancestors);
+                }
+            } else if (source.startsWith('{{')) {
+                node = parseInterpolation(context);
+            }
+        }
+
+        // node 不存在，说明处于其他模式，或者不满足上面的条件，一律作为文本处理
+        if (!node) {
+            node = parseText(context);
+        }
+
+        nodes.push(node);
+    }
+
+    const parent = ancestors[ancestors.length - 1];
+    if (context.mode === TextModes.DATA && parent?.tag !== 'pre') {
+        return condenseWhitespace(nodes);
+    }
+    return nodes;
+};
+
+/**
+ * @description 状态机是否应该停止，模板消费完毕，或者遇到了任意一个祖先元素的结束标签
+ */
+const isEnd = (context, ancestors) => {
+    if (!context.source) return true;
+    // 与所有祖先比较，这样 <div><span></div> 这样缺少结束标签的情况也可以停止
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+        if (startsWithEndTag(context.source, ancestors[i].tag)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+const startsWithEndTag = (source, tag) => {
+    return source.startsWith('</')
+        && source.slice(2, 2 + tag.length).toLowerCase() === tag.toLowerCase()
+        && /[\t\r\n\f />]/.test(source[2 + tag.length] || '>');
+};
+
+/**
+ * @description 解析元素
+ */
+const parseElement = (context, ancestors) => {
+    const start = getCursor(context);
+    const element = parseTag(context);
+    if (element.isSelfClosing || VOID_TAGS.includes(element.tag)) {
+        return element;
+    }
+
+    // 切换到正确的文本模式，子节点解析完毕后再恢复
+    const parentMode = context.mode;
+    if (RCDATA_TAGS.includes(element.tag)) {
+        context.mode = TextModes.RCDATA;
+    } else if (RAWTEXT_TAGS.includes(element.tag)) {
+        context.mode = TextModes.RAWTEXT;
+    } else {
+        context.mode = TextModes.DATA;
+    }
+
+    ancestors.push(element);
+    element.children = parseChildren(context, ancestors);
+    ancestors.pop();
+
+    context.mode = parentMode;
+
+    if (startsWithEndTag(context.source, element.tag)) {
+        parseTag(context, 'end');
+    } else {
+        // 此时 element.loc 还是开始标签的位置
+        emitError(context, ErrorCodes.MISSING_END_TAG, element.loc.start, element.loc.end);
+    }
+
+    element.loc = getSelection(context, start);
+    return element;
+};
+
+/**
+ * @description 解析开始标签或结束标签
+ * @param {Object} context 解析器上下文
+ * @param {String} type 'start' | 'end'
+ */
+const parseTag = (context, type = 'start') => {
+    const start = getCursor(context);
+    const match = type === 'start'
+        ? /^<([a-z][^\t\r\n\f />]*)/i.exec(context.source)
+        : /^<\/([a-z][^\t\r\n\f />]*)/i.exec(context.source);
+    const tag = match[1];
+
+    context.advanceBy(match[0].length);
+    context.advanceSpaces();
+
+    // 结束标签上的属性没有意义，解析后直接丢弃
+    const props = parseAttributes(context);
+
+    let isSelfClosing = false;
+    if (!context.source) {
+        emitError(context, ErrorCodes.EOF_IN_TAG, start, getCursor(context));
+    } else {
+        isSelfClosing = context.source.startsWith('/>');
+        context.advanceBy(isSelfClosing ? 2 : 1);
+    }
+
+    return {
+        type: NodeTypes.ELEMENT,
+        tag,
+        props: type === 'start' ? props : [],
+        children: [],
+        isSelfClosing,
+        loc: getSelection(context, start),
+    };
+};
+
+/**
+ * @description 解析属性与指令，直到遇到 > 或 />
+ */
+const parseAttributes = (context) => {
+    const props = [];
+    const names = new Set();
+
+    while (
+        context.source
+        && !context.source.startsWith('>')
+        && !context.source.startsWith('/>')
+    ) {
+        if (context.source[0] === '/') {
+            // 多余的 / 直接跳过
+            context.advanceBy(1);
+            context.advanceSpaces();
+            continue;
+        }
+        props.push(parseAttribute(context, names));
+        context.advanceSpaces();
+    }
+
+    return props;
+};
+
+/**
+ * @description 解析单个属性，v-、:、.、@、# 开头的属性会被解析为指令
+ * @param {Object} context 解析器上下文
+ * @param {Set<String>} names 当前标签上已经解析过的属性名，用于检查重复的属性
+ */
+const parseAttribute = (context, names) => {
+    const start = getCursor(context);
+    const name = /^[^\t\r\n\f />][^\t\r\n\f />=]*/.exec(context.source)[0];
+    if (names.has(name)) {
+        emitError(context, ErrorCodes.DUPLICATE_ATTRIBUTE, start, getNewPosition(context, start, name.length));
+    }
+    names.add(name);
+    context.advanceBy(name.length);
+
+    let value;
+    if (/^[\t\r\n\f ]*=/.test(context.source)) {
+        context.advanceSpaces();
+        context.advanceBy(1);
+        context.advanceSpaces();
+        value = parseAttributeValue(context);
+        if (!value) {
+            emitError(context, ErrorCodes.MISSING_ATTRIBUTE_VALUE);
+        }
+    }
+    const loc = getSelection(context, start);
+
+    if (DIRECTIVE_RE.test(name)) {
+        return parseDirective(context, name, value, loc);
+    }
+
+    return {
+        type: NodeTypes.ATTRIBUTE,
+        name,
+        // 属性值是一个文本节点，位置包含引号
+        value: value && {
+            type: NodeTypes.TEXT,
+            content: value.content,
+            loc: value.loc,
+        },
+        loc,
+    };
+};
+
+/**
+ * @description 解析属性值，支持双引号、单引号以及无引号三种写法
+ * @returns {{ content: String, loc: Object, contentLoc: Object } | undefined} loc 包含引号，contentLoc 不包含引号
+ */
+const parseAttributeValue = (context) => {
+    const start = getCursor(context);
+    const quote = context.source[0];
+    let contentStart;
+    let content;
+
+    if (quote === '"' || quote === '\'') {
+        context.advanceBy(1);
+        contentStart = getCursor(context);
+        const endIndex = context.source.indexOf(quote);
+        // 缺少结束引号时，剩余的模板都作为属性值，随后 parseTag 会报告 EOF_IN_TAG
+        content = parseTextData(context, endIndex === -1 ? context.source.length : endIndex);
+        const contentLoc = getSelection(context, contentStart);
+        endIndex !== -1 && context.advanceBy(1);
+        return {
+            content,
+            loc: getSelection(context, start),
+            contentLoc,
+        };
+    }
+
+    const match = /^[^\t\r\n\f >]+/.exec(context.source);
+    if (!match) {
+        return undefined;
+    }
+    content = parseTextData(context, match[0].length);
+    const loc = getSelection(context, start);
+    return {
+        content,
+        loc,
+        contentLoc: loc,
+    };
+};
+
+/**
+ * @description 解析指令，例如 v-on:click.stop="handler" 或其简写 @click.stop="handler"
+ * @param {Object} context 解析器上下文
+ * @param {String} name 属性名
+ * @param {Object} value 属性值
+ * @param {Object} loc 整个属性的位置
+ */
+const parseDirective = (context, name, value, loc) => {
+    const match = DIRECTIVE_PARTS_RE.exec(name);
+    let dirName = match[1];
+    if (!dirName) {
+        dirName = name[0] === ':' || name[0] === '.' ? 'bind' : name[0] === '@' ? 'on' : 'slot';
+    }
+
+    let arg;
+    if (match[2]) {
+        const content = match[2];
+        // 参数在属性名中的位置，例如 v-on:click.stop 中的 click
+        const offset = name.length - (match[3] || '').length - content.length;
+        const argStart = getNewPosition(context, loc.start, offset);
+        const argEnd = getNewPosition(context, argStart, content.length);
+        const isStatic = !content.startsWith('[');
+        if (!isStatic) {
+            emitError(context, ErrorCodes.X_DYNAMIC_ARGUMENT_UNSUPPORTED, argStart, argEnd);
+        }
+        arg = createSimpleExpression(
+            isStatic ? content : content.slice(1, -1),
+            isStatic,
+            getSelection(context, argStart, argEnd),
+        );
+    }
+
+    let modifiers = [];
+    const rest = match[3];
+    if (rest && !rest.startsWith('.')) {
+        // 只有简写符号或冒号，缺少参数，例如 @="handler"、v-on:="handler"
+        emitError(context, ErrorCodes.X_MISSING_DIRECTIVE_ARGUMENT, loc.start, loc.end);
+    } else if (rest) {
+        modifiers = rest.slice(1).split('.');
+        if (modifiers.some(modifier => !modifier)) {
+            // @click..stop、@click. 这样的写法
+            emitError(context, ErrorCodes.X_INVALID_DIRECTIVE_MODIFIER, loc.start, loc.end);
+            modifiers = modifiers.filter(Boolean);
+        }
+    }
+
+    return {
+        type: NodeTypes.DIRECTIVE,
+        name: dirName,
+        arg,
+        exp: value && createSimpleExpression(value.content, false, value.contentLoc),
+        modifiers,
+        loc,
+    };
+};
+
+/**
+ * @description 解析插值 {{ exp }}
+ */
+const parseInterpolation = (context) => {
+    const [open, close] = ['{{', '}}'];
+    const closeIndex = context.source.indexOf(close, open.length);
+    if (closeIndex === -1) {
+        emitError(context, ErrorCodes.MISSING_INTERPOLATION_END);
+        // 作为普通文本处理
+        return null;
+    }
+
+    const start = getCursor(context);
+    context.advanceBy(open.length);
+
+    // 表达式的位置不包含两侧的空白字符
+    const rawContent = context.source.slice(0, closeIndex - open.length);
+    const leadingSpaces = rawContent.length - rawContent.trimStart().length;
+    const innerStart = getNewPosition(context, getCursor(context), leadingSpaces);
+    const innerEnd = getNewPosition(context, innerStart, rawContent.trim().length);
+    const content = parseTextData(context, rawContent.length).trim();
+    context.advanceBy(close.length);
+
+    return {
+        type: NodeTypes.INTERPOLATION,
+        content: createSimpleExpression(content, false, getSelection(context, innerStart, innerEnd)),
+        loc: getSelection(context, start),
+    };
+};
+
+/**
+ * @description 解析文本，文本在遇到 < 或 {{ 时结束
+ */
+const parseText = (context) => {
+    let endIndex = context.source.length;
+    // 从 1 开始查找，保证每次至少消费一个字符
+    for (const token of ['<', '{{']) {
+        const index = context.source.indexOf(token, 1);
+        if (index !== -1 && index < endIndex) {
+            endIndex = index;
+        }
+    }
+
+    const start = getCursor(context);
+    const content = parseTextData(context, endIndex);
+
+    return {
+        type: NodeTypes.TEXT,
+        content,
+        loc: getSelection(context, start),
+    };
+};
+
+/**
+ * @description 消费指定长度的文本，RAWTEXT 模式以外需要解码 HTML 实体
+ */
+const parseTextData = (context, length) => {
+    const rawText = context.source.slice(0, length);
+    const start = getCursor(context);
+    context.advanceBy(length);
+    if (context.mode === TextModes.RAWTEXT) {
+        return rawText;
+    }
+    // 无效的字符引用按照它在模板中的位置报告错误
+    return decodeHtml(rawText, (offset, entity) => {
+        const entityStart = getNewPosition(context, start, offset);
+        emitError(context, ErrorCodes.INVALID_CHARACTER_REFERENCE, entityStart, getNewPosition(context, entityStart, entity.length));
+    });
+};
+
+/**
+ * @description 解析注释 <!-- -->
+ */
+const parseComment = (context) => {
+    const start = getCursor(context);
+    const closeIndex = context.source.indexOf('-->');
+    let content;
+    if (closeIndex === -1) {
+        // 缺少结束标记，剩余的模板都作为注释内容
+        content = context.source.slice(4);
+        context.advanceBy(context.source.length);
+        emitError(context, ErrorCodes.EOF_IN_COMMENT, start, getCursor(context));
+    } else {
+        content = context.source.slice(4, closeIndex);
+        context.advanceBy(closeIndex + 3);
+    }
+
+    return {
+        type: NodeTypes.COMMENT,
+        content,
+        loc: getSelection(context, start),
+    };
+};
+
+/**
+ * @description 压缩空白字符，与浏览器渲染的结果保持一致
+ * * 首尾的空白文本节点、两个元素(或注释)之间包含换行的空白文本节点会被移除
+ * * 其余连续的空白字符会被压缩为一个空格
+ */
+const condenseWhitespace = (nodes) => {
+    const isBlock = node => node.type === NodeTypes.ELEMENT || node.type === NodeTypes.COMMENT;
+
+    return nodes.filter((node, i) => {
+        if (node.type !== NodeTypes.TEXT) return true;
+
+        if (/[^\t\r\n\f ]/.test(node.content)) {
+            node.content = node.content.replace(/[\t\r\n\f ]+/g, ' ');
+            return true;
+        }
+
+        const prev = nodes[i - 1];
+        const next = nodes[i + 1];
+        if (
+            !prev
+            || !next
+            || (isBlock(prev) && isBlock(next) && /[\r\n]/.test(node.content))
+        ) {
+            return false;
+        }
+        node.content = ' ';
+        return true;
+    });
+};
+
+/**
+ * @description 解码 HTML 实体，例如 &lt; => <、&#60; => <
+ * * 码点为 0、超出 Unicode 范围或者为代理项的数字字符引用无效，与浏览器一致替换为 U+FFFD
+ * @param {String} rawText 原始文本
+ * @param {Function} onInvalid (offset, entity) 遇到无效的字符引用时调用，offset 为它在 rawText 中的位置
+ */
+export const decodeHtml = (rawText, onInvalid) => {
+    return rawText.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body, offset) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X'
+                ? parseInt(body.slice(2), 16)
+                : parseInt(body.slice(1), 10);
+            if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+                onInvalid && onInvalid(offset, entity);
+                return '\ufffd';
+            }
+            return String.fromCodePoint(code);
+        }
+        return hasOwn(NAMED_CHARACTER_REFERENCES, body) ? NAMED_CHARACTER_REFERENCES[body] : entity;
+    });
+};
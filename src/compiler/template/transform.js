@@ -0,0 +1,797 @@
+/**
+ * @file 模板 AST 转换器，为模板 AST 上的节点生成用于代码生成的 codegenNode
+ */
+
+import { camelize, capitalize } from '@/utils/index';
+
+import {
+    NodeTypes,
+    createSimpleExpression,
+    createObjectExpression,
+    createObjectProperty,
+    createArrayExpression,
+    createCallExpression,
+    createFunctionExpression,
+    createConditionalExpression,
+    createVNodeCall,
+} from './ast.js';
+import { ErrorCodes, createCompilerError, defaultOnError } from './errors.js';
+import { PatchFlags } from '../vnode.js';
+
+// v-for 的表达式，例如 (item, index) in list
+const FOR_ALIAS_RE = /([\s\S]*?)\s+(?:in|of)\s+([\s\S]*)/;
+// 事件处理函数是一个成员表达式，例如 handler、obj.handler、obj['handler']
+const MEMBER_EXP_RE = /^[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*|\[[^\]]+\])*$/;
+// 事件处理函数是一个函数表达式，例如 e => handler(e)、function (e) {}
+const FN_EXP_RE = /^\s*([\w$_]+|\([^)]*?\))\s*=>|^\s*function(?:\s+[\w$]+)?\s*\(/;
+
+/**
+ * @description 创建转换上下文
+ * @param {Object} root 模板 AST 的根节点
+ * @param {Object} options 转换选项
+ */
+const createTransformContext = (root, { onError = defaultOnError } = {}) => {
+    return {
+        root,
+        // 错误处理函数，与 parse 的 onError 一致
+        onError,
+        // 当前正在转换的节点
+        currentNode: null,
+        // 当前节点的父节点
+        parent: null,
+        // 当前节点在父节点的 children 中的位置索引
+        childIndex: 0,
+        // 生成的代码中用到的运行时辅助函数
+        helpers: new Set(),
+        // 模板中用到的组件
+        components: new Set(),
+        // 模板中用到的自定义指令
+        directives: new Set(),
+        // 被静态提升的 vnode，它们只会在编译时创建一次
+        hoists: [],
+        // 转换函数，注意顺序：结构性指令 v-if、v-for 需要先于元素被处理
+        nodeTransforms: [
+            transformComment,
+            transformIf,
+            transformFor,
+            transformElement,
+            transformText,
+        ],
+        // 当前节点被移除后，遍历子节点的索引需要修正
+        onNodeRemoved: () => {},
+        /**
+         * @description 标记用到的运行时辅助函数，返回其在生成代码中的变量名
+         */
+        helper(name) {
+            this.helpers.add(name);
+            return `_${name}`;
+        },
+        /**
+         * @description 静态提升，返回提升后的变量
+         */
+        hoist(exp) {
+            this.hoists.push(exp);
+            return createSimpleExpression(`_hoisted_${this.hoists.length}`);
+        },
+        /**
+         * @description 用新节点替换当前节点
+         */
+        replaceNode(node) {
+            this.parent.children[this.childIndex] = node;
+            this.currentNode = node;
+        },
+        /**
+         * @description 移除节点，不传参数时移除当前节点
+         */
+        removeNode(node) {
+            const list = this.parent.children;
+            const removalIndex = node
+                ? list.indexOf(node)
+                : this.currentNode ? this.childIndex : -1;
+
+            if (!node || node === this.currentNode) {
+                this.currentNode = null;
+                this.onNodeRemoved();
+            } else if (this.childIndex > removalIndex) {
+                // 移除的是当前节点之前的兄弟节点
+                this.childIndex--;
+                this.onNodeRemoved();
+            }
+            list.splice(removalIndex, 1);
+        },
+    };
+};
+
+/**
+ * @description 转换模板 AST，转换完毕后根节点上会挂载 codegenNode、helpers、components、directives 以及 hoists
+ * @param {Object} root 模板 AST 的根节点
+ * @param {Object} options 转换选项
+ * @param {Function} options.onError 错误处理函数，接收 CompilerError，默认直接抛出
+ */
+export const transform = (root, options) => {
+    const context = createTransformContext(root, options);
+    traverseNode(root, context);
+
+    root.codegenNode = createChildrenCodegen(root.children, context, true);
+    // 所有的 vnode 都通过 createVNode 创建
+    context.helper('createVNode');
+    if (context.components.size) {
+        context.helper('resolveComponent');
+    }
+    if (context.directives.size) {
+        context.helper('resolveDirective');
+    }
+    root.helpers = [...context.helpers];
+    root.components = [...context.components];
+    root.directives = [...context.directives];
+    root.hoists = context.hoists;
+};
+
+/**
+ * @description 深度优先遍历节点
+ * * 进入节点时依次调用转换函数，转换函数可以返回一个退出阶段的回调
+ * * 退出阶段的回调在所有子节点处理完毕之后逆序执行，此时子节点的 codegenNode 已经生成
+ */
+const traverseNode = (node, context) => {
+    context.currentNode = node;
+    const exitFns = [];
+
+    for (const nodeTransform of context.nodeTransforms) {
+        const onExit = nodeTransform(context.currentNode, context);
+        onExit && exitFns.push(onExit);
+        // 节点被移除，什么都不需要做了
+        if (!context.currentNode) return;
+    }
+    // 节点可能被替换了
+    node = context.currentNode;
+
+    switch (node.type) {
+        case NodeTypes.INTERPOLATION:
+            context.helper('toDisplayString');
+            break;
+        case NodeTypes.IF:
+            node.branches.forEach(branch => traverseNode(branch, context));
+            break;
+        case NodeTypes.ROOT:
+        case NodeTypes.ELEMENT:
+        case NodeTypes.IF_BRANCH:
+        case NodeTypes.FOR:
+            traverseChildren(node, context);
+            break;
+        default:
+            break;
+    }
+
+    context.currentNode = node;
+    let i = exitFns.length;
+    while (i--) {
+        exitFns[i]();
+    }
+};
+
+const traverseChildren = (parent, context) => {
+    let i = 0;
+    const onNodeRemoved = () => {
+        i--;
+    };
+    for (; i < parent.children.length; i++) {
+        context.parent = parent;
+        context.childIndex = i;
+        context.onNodeRemoved = onNodeRemoved;
+        traverseNode(parent.children[i], context);
+    }
+};
+
+/**
+ * @description 查找并移除指令
+ * @param {Object} node 元素节点
+ * @param {String | RegExp} name 指令名称
+ */
+const findDir = (node, name, remove = true) => {
+    const index = node.props.findIndex(prop =>
+        prop.type === NodeTypes.DIRECTIVE
+        && (typeof name === 'string' ? prop.name === name : name.test(prop.name))
+    );
+    if (index === -1) return null;
+    const dir = node.props[index];
+    remove && node.props.splice(index, 1);
+    return dir;
+};
+
+const findProp = (node, name) => {
+    return node.props.find(prop => prop.type === NodeTypes.ATTRIBUTE && prop.name === name)
+        || node.props.find(prop => prop.type === NodeTypes.DIRECTIVE && prop.name === 'bind' && prop.arg?.content === name);
+};
+
+const isComponentTag = (tag) => /^[A-Z]/.test(tag) || tag.includes('-');
+
+const isText = (node) => [
+    NodeTypes.TEXT,
+    NodeTypes.INTERPOLATION,
+    NodeTypes.COMPOUND_EXPRESSION,
+].includes(node.type);
+
+const isWhitespace = (node) => node.type === NodeTypes.TEXT && !node.content.trim();
+
+/**
+ * @description 是否是静态元素：只有静态属性，并且子节点都是静态文本或静态元素
+ * * 需要在子节点处理完毕之后调用
+ */
+const isStaticElement = (node) => {
+    return node.type === NodeTypes.ELEMENT
+        && !isComponentTag(node.tag)
+        && node.tag !== 'slot'
+        && node.tag !== 'template'
+        && node.props.every(prop => prop.type === NodeTypes.ATTRIBUTE)
+        && node.children.every(child => child.type === NodeTypes.TEXT || child.isStatic);
+};
+
+const reportError = (context, code, node) => {
+    context.onError(createCompilerError(code, node.loc));
+};
+
+/**
+ * @description 注释不会出现在渲染结果中，直接移除
+ */
+const transformComment = (node, context) => {
+    if (node.type === NodeTypes.COMMENT) {
+        context.removeNode();
+    }
+};
+
+/**
+ * @description v-if、v-else-if、v-else
+ * * v-if 所在的元素会被替换为 If 节点，后续的 v-else-if、v-else 会作为分支合并到该 If 节点中
+ * * 最终生成 a ? vnodeA : b ? vnodeB : 注释节点 这样的条件表达式
+ */
+const transformIf = (node, context) => {
+    if (node.type !== NodeTypes.ELEMENT) return;
+    const dir = findDir(node, /^(if|else-if|else)$/);
+    if (!dir) return;
+
+    let condition = dir.exp;
+    if (dir.name !== 'else' && !dir.exp?.content.trim()) {
+        reportError(context, ErrorCodes.X_V_IF_NO_EXPRESSION, dir);
+        condition = createSimpleExpression('true');
+    }
+
+    const branch = {
+        type: NodeTypes.IF_BRANCH,
+        condition: dir.name === 'else' ? null : condition,
+        // <template v-if> 只渲染它的子节点
+        children: node.tag === 'template' ? node.children : [node],
+    };
+
+    if (dir.name === 'if') {
+        const ifNode = {
+            type: NodeTypes.IF,
+            branches: [branch],
+        };
+        context.replaceNode(ifNode);
+        return () => {
+            ifNode.codegenNode = createIfCodegen(ifNode, context);
+        };
+    }
+
+    // v-else-if、v-else 需要向前查找相邻的 If 节点，中间的空白文本会被移除
+    const siblings = context.parent.children;
+    let i = siblings.indexOf(node);
+    while (i-- > 0) {
+        const sibling = siblings[i];
+        if (isWhitespace(sibling)) {
+            context.removeNode(sibling);
+            continue;
+        }
+        if (sibling.type === NodeTypes.IF) {
+            // 当前节点被合并到 If 节点中，因此需要手动遍历该分支
+            context.removeNode();
+            sibling.branches.push(branch);
+            traverseNode(branch, context);
+            sibling.codegenNode = createIfCodegen(sibling, context);
+            // 标记当前节点已被移除
+            context.currentNode = null;
+            return;
+        }
+        break;
+    }
+
+    // 找不到对应的 v-if，报错后移除该节点
+    reportError(context, ErrorCodes.X_V_ELSE_NO_ADJACENT_IF, dir);
+    context.removeNode();
+};
+
+const createIfCodegen = (node, context) => {
+    // 没有任何分支满足条件时，渲染一个注释节点占位
+    // 占位节点同样是 Block，保证任何情况下父级 Block 收集到的动态节点都是一一对应的
+    let codegen = makeBlock(createVNodeCall(
+        createSimpleExpression(context.helper('Comment')),
+        null,
+        createSimpleExpression('v-if', true),
+    ), context);
+    for (let i = node.branches.length - 1; i >= 0; i--) {
+        const branch = node.branches[i];
+        const branchCodegen = createChildrenCodegen(branch.children, context);
+        // 不同的分支使用不同的 key，切换分支时重新挂载，而不是按照补丁标志复用同类型的元素
+        injectKey(branchCodegen, i);
+        codegen = branch.condition
+            ? createConditionalExpression(branch.condition, branchCodegen, codegen)
+            : branchCodegen;
+    }
+    return codegen;
+};
+
+const injectKey = (codegen, key) => {
+    if (codegen.type !== NodeTypes.VNODE) return;
+    const keyProperty = createObjectProperty('key', createSimpleExpression(String(key)));
+    if (!codegen.props) {
+        codegen.props = createObjectExpression([keyProperty]);
+    } else if (!codegen.props.properties.some(p => p.key === 'key')) {
+        codegen.props.properties.unshift(keyProperty);
+    }
+};
+
+/**
+ * @description v-for
+ * * v-for 所在的元素会被替换为 For 节点，最终生成一个 Fragment，子节点由 renderList 生成
+ */
+const transformFor = (node, context) => {
+    if (node.type !== NodeTypes.ELEMENT) return;
+    const dir = findDir(node, 'for');
+    if (!dir) return;
+
+    if (!dir.exp?.content.trim()) {
+        reportError(context, ErrorCodes.X_V_FOR_NO_EXPRESSION, dir);
+        return;
+    }
+    const match = FOR_ALIAS_RE.exec(dir.exp.content);
+    if (!match) {
+        reportError(context, ErrorCodes.X_V_FOR_MALFORMED_EXPRESSION, dir);
+        return;
+    }
+    const [, alias, source] = match;
+    // (item, index) => ['item', 'index']
+    const params = alias.trim().replace(/^\(|\)$/g, '').split(',').map(s => s.trim()).filter(Boolean);
+
+    const forNode = {
+        type: NodeTypes.FOR,
+        source: createSimpleExpression(source.trim()),
+        params,
+        children: node.tag === 'template' ? node.children : [node],
+    };
+    context.replaceNode(forNode);
+
+    return () => {
+        // 子节点的数量和顺序都可能变化，Fragment 不收集动态节点，由 keyed diff 更新，每一项各自是一个 Block
+        forNode.codegenNode = makeBlock(createVNodeCall(
+            createSimpleExpression(context.helper('Fragment')),
+            null,
+            createCallExpression(context.helper('renderList'), [
+                forNode.source,
+                createFunctionExpression(params, createChildrenCodegen(forNode.children, context)),
+            ]),
+        ), context, true);
+    };
+};
+
+/**
+ * @description 为元素、组件以及 <slot> 生成 codegenNode
+ * * 需要在退出阶段执行，保证子节点都已经处理完毕
+ */
+const transformElement = (node, context) => {
+    if (node.type !== NodeTypes.ELEMENT) return;
+
+    return () => {
+        const { tag } = node;
+        if (tag === 'slot') {
+            node.codegenNode = createSlotOutletCodegen(node, context);
+            return;
+        }
+
+        const isComponent = isComponentTag(tag);
+        let vnodeTag;
+        if (isComponent) {
+            context.components.add(tag);
+            vnodeTag = createSimpleExpression(toComponentVar(tag));
+        } else if (tag === 'template') {
+            vnodeTag = createSimpleExpression(context.helper('Fragment'));
+        } else {
+            vnodeTag = createSimpleExpression(tag, true);
+        }
+
+        const { props, patchFlag, dynamicProps, directives } = buildProps(node, context);
+        node.isStatic = isStaticElement(node);
+
+        let children = null;
+        let textFlag = 0;
+        if (isComponent) {
+            children = buildSlots(node, context);
+        } else if (node.children.length) {
+            const onlyChild = node.children[0];
+            if (node.children.length === 1 && isText(onlyChild) && tag !== 'template') {
+                // 只有一个文本子节点时，children 直接是字符串，由渲染器调用 setElementText 设置
+                children = createTextCodegen(onlyChild);
+                textFlag = onlyChild.type === NodeTypes.TEXT ? 0 : PatchFlags.TEXT;
+            } else {
+                // 静态元素的子节点随它一起被提升，不需要单独提升
+                children = createArrayExpression(
+                    node.children.map(child => createChildCodegen(child, context, !node.isStatic)),
+                );
+            }
+        }
+
+        node.codegenNode = isComponent
+            ? createVNodeCall(vnodeTag, props, children)
+            : createVNodeCall(vnodeTag, props, children, patchFlag | textFlag, dynamicProps);
+
+        if (directives.length) {
+            node.codegenNode.directives = createArrayExpression(directives);
+            context.helper('withDirectives');
+            // 没有其他动态内容的元素也需要被 Block 收集，保证更新时调用指令的钩子
+            if (!node.codegenNode.patchFlag) {
+                node.codegenNode.patchFlag = PatchFlags.NEED_PATCH;
+            }
+        }
+    };
+};
+
+export const toComponentVar = (tag) => `_component_${tag.replace(/[^\w]/g, '_')}`;
+
+export const toDirectiveVar = (name) => `_directive_${name.replace(/[^\w]/g, '_')}`;
+
+/**
+ * @description 处理元素上的属性与指令，生成 props 对象，同时分析出补丁标志
+ * * 内置指令之外的指令作为自定义指令，生成 [指令, 值, 参数, 修饰符] 的数组表达式
+ * @returns {{ props: Object, patchFlag: Number, dynamicProps: Array<String>, directives: Array<Object> }}
+ */
+const buildProps = (node, context) => {
+    const properties = [];
+    const directives = [];
+    const classValues = [];
+    const styleValues = [];
+    const dynamicPropNames = new Set();
+    let key = null;
+    let hasDynamicKeys = false;
+
+    const pushProperty = (name, value) => {
+        // 同一个事件绑定了多个处理函数时，合并为数组，由事件的 invoker 逐个调用
+        const existing = properties.find(p => p.key === name);
+        if (existing && /^on[A-Z]/.test(name)) {
+            if (existing.value.type === NodeTypes.JS_ARRAY_EXPRESSION) {
+                existing.value.elements.push(value);
+            } else {
+                existing.value = createArrayExpression([existing.value, value]);
+            }
+        } else {
+            properties.push(createObjectProperty(name, value));
+        }
+    };
+
+    for (const prop of node.props) {
+        if (prop.type === NodeTypes.ATTRIBUTE) {
+            const value = createSimpleExpression(prop.value?.content ?? '', true);
+            if (prop.name === 'key') {
+                key = value;
+            } else if (prop.name === 'class') {
+                classValues.push(value);
+            } else if (prop.name === 'style') {
+                styleValues.push(value);
+            } else {
+                pushProperty(prop.name, value);
+            }
+            continue;
+        }
+
+        const { name, exp, modifiers } = prop;
+        // 动态参数在解析阶段已经报告过错误
+        if (prop.arg && !prop.arg.isStatic) continue;
+        const arg = prop.arg?.content;
+
+        if (name === 'bind') {
+            if (!exp?.content.trim()) {
+                reportError(context, ErrorCodes.X_V_BIND_NO_EXPRESSION, prop);
+                continue;
+            }
+            const value = exp;
+            if (!arg) {
+                // v-bind="obj" 展开对象
+                properties.push(createObjectProperty(null, value));
+                hasDynamicKeys = true;
+            } else if (arg === 'key') {
+                key = value;
+            } else if (arg === 'class') {
+                classValues.push(value);
+            } else if (arg === 'style') {
+                styleValues.push(value);
+            } else {
+                const propName = modifiers.includes('camel') ? camelize(arg) : arg;
+                pushProperty(propName, value);
+                dynamicPropNames.add(propName);
+            }
+        } else if (name === 'on') {
+            if (!exp?.content.trim() && (!arg || !modifiers.length)) {
+                // 只有 @click.prevent 这样带修饰符的写法可以省略表达式
+                reportError(context, ErrorCodes.X_V_ON_NO_EXPRESSION, prop);
+                continue;
+            }
+            if (!arg) {
+                // v-on="{ click: handler }" 展开对象
+                properties.push(createObjectProperty(
+                    null,
+                    createCallExpression(context.helper('toHandlers'), [exp]),
+                ));
+                hasDynamicKeys = true;
+            } else {
+                // 内联的事件处理函数每次渲染都会重新创建，因此事件也属于动态属性
+                const eventName = `on${capitalize(camelize(arg))}`;
+                pushProperty(eventName, buildHandler(prop, context));
+                dynamicPropNames.add(eventName);
+            }
+        } else if (name !== 'slot') {
+            // 自定义指令在运行时通过 resolveDirective 从组件选项或应用中查找，v-focus:arg.mod="exp"
+            context.directives.add(name);
+            const dirArgs = [
+                createSimpleExpression(toDirectiveVar(name)),
+                exp || createSimpleExpression('void 0'),
+            ];
+            if (arg || modifiers.length) {
+                dirArgs.push(arg ? prop.arg : createSimpleExpression('void 0'));
+            }
+            if (modifiers.length) {
+                dirArgs.push(createObjectExpression(
+                    modifiers.map(modifier => createObjectProperty(modifier, createSimpleExpression('true'))),
+                ));
+            }
+            directives.push(createArrayExpression(dirArgs));
+        }
+    }
+
+    // 静态 class 与动态 class 统一交给 normalizeClass 处理
+    if (classValues.length) {
+        properties.unshift(createObjectProperty('class', normalizeValues(classValues, 'normalizeClass', context)));
+    }
+    if (styleValues.length) {
+        properties.unshift(createObjectProperty('style', normalizeValues(styleValues, 'normalizeStyle', context)));
+    }
+    // key 也放在 props 中，由 createVNode 提取
+    if (key) {
+        properties.unshift(createObjectProperty('key', key));
+    }
+
+    let patchFlag = 0;
+    if (hasDynamicKeys) {
+        patchFlag |= PatchFlags.FULL_PROPS;
+    } else {
+        classValues.some(value => !value.isStatic) && (patchFlag |= PatchFlags.CLASS);
+        styleValues.some(value => !value.isStatic) && (patchFlag |= PatchFlags.STYLE);
+        dynamicPropNames.size && (patchFlag |= PatchFlags.PROPS);
+    }
+
+    return {
+        props: properties.length ? createObjectExpression(properties) : null,
+        patchFlag,
+        dynamicProps: patchFlag & PatchFlags.PROPS ? [...dynamicPropNames] : null,
+        directives,
+    };
+};
+
+const normalizeValues = (values, helper, context) => {
+    if (values.length === 1 && values[0].isStatic) {
+        return values[0];
+    }
+    return createCallExpression(context.helper(helper), [
+        values.length === 1 ? values[0] : createArrayExpression(values),
+    ]);
+};
+
+/**
+ * @description 生成事件处理函数
+ * * @click="handler"、@click="e => handler(e)" 直接作为处理函数
+ * * @click="count++"、@click="handler($event)" 这样的内联语句会被包裹为 $event => { count++ }
+ */
+const buildHandler = (dir, context) => {
+    const content = dir.exp?.content.trim();
+    let handler;
+    if (!content) {
+        handler = createSimpleExpression('() => {}');
+    } else if (MEMBER_EXP_RE.test(content) || FN_EXP_RE.test(content)) {
+        handler = createSimpleExpression(content);
+    } else {
+        handler = createSimpleExpression(`$event => { ${content} }`);
+    }
+
+    if (dir.modifiers.length) {
+        handler = createCallExpression(context.helper('withModifiers'), [
+            handler,
+            createSimpleExpression(JSON.stringify(dir.modifiers)),
+        ]);
+    }
+    return handler;
+};
+
+/**
+ * @description 组件的子节点会被编译为插槽对象，与手写的 vnode.children 保持一致
+ * @example
+ * <MyComponent>
+ *     <template #header>标题</template>
+ *     内容
+ * </MyComponent>
+ * =>
+ * {
+ *     header: () => ({ type: Text, children: '标题' }),
+ *     default: () => ({ type: Text, children: '内容' }),
+ * }
+ */
+const buildSlots = (node, context) => {
+    const slots = [];
+    const defaultChildren = [];
+    // <MyComponent v-slot="props"> 的写法，所有子节点都属于默认插槽
+    const onComponentSlot = findDir(node, 'slot');
+
+    for (const child of node.children) {
+        const slotDir = child.type === NodeTypes.ELEMENT && child.tag === 'template'
+            ? findDir(child, 'slot')
+            : null;
+        if (slotDir) {
+            slots.push(createObjectProperty(
+                slotDir.arg?.content || 'default',
+                createFunctionExpression(
+                    slotDir.exp ? [slotDir.exp.content] : [],
+                    createChildrenCodegen(child.children, context, true),
+                ),
+            ));
+        } else {
+            defaultChildren.push(child);
+        }
+    }
+
+    if (defaultChildren.some(child => !isWhitespace(child))) {
+        slots.push(createObjectProperty(
+            'default',
+            createFunctionExpression(
+                onComponentSlot?.exp ? [onComponentSlot.exp.content] : [],
+                createChildrenCodegen(defaultChildren, context, true),
+            ),
+        ));
+    }
+
+    return slots.length ? createObjectExpression(slots) : null;
+};
+
+/**
+ * @description <slot name="header" :foo="bar">后备内容</slot>
+ * => renderSlot($slots, 'header', { foo: bar }, () => 后备内容)
+ */
+const createSlotOutletCodegen = (node, context) => {
+    const nameProp = findProp(node, 'name');
+    node.props = node.props.filter(prop => prop !== nameProp);
+
+    let name = createSimpleExpression('default', true);
+    if (nameProp) {
+        name = nameProp.type === NodeTypes.ATTRIBUTE
+            ? createSimpleExpression(nameProp.value?.content ?? '', true)
+            : nameProp.exp;
+    }
+
+    const { props } = buildProps(node, context);
+    const args = [
+        createSimpleExpression('$slots'),
+        name,
+        props || createSimpleExpression('{}'),
+    ];
+    if (node.children.length) {
+        args.push(createFunctionExpression([], createChildrenCodegen(node.children, context, true)));
+    }
+    return createCallExpression(context.helper('renderSlot'), args);
+};
+
+/**
+ * @description 合并相邻的文本与插值节点为一个复合表达式
+ * * 'count: ' + toDisplayString(count)
+ */
+const transformText = (node, context) => {
+    if (![
+        NodeTypes.ROOT,
+        NodeTypes.ELEMENT,
+        NodeTypes.IF_BRANCH,
+        NodeTypes.FOR,
+    ].includes(node.type)) {
+        return;
+    }
+
+    return () => {
+        const { children } = node;
+        let currentContainer = null;
+        for (let i = 0; i < children.length; i++) {
+            const child = children[i];
+            if (!isText(child)) {
+                currentContainer = null;
+                continue;
+            }
+            if (currentContainer) {
+                currentContainer.children.push(child);
+                children.splice(i--, 1);
+            } else if (children[i + 1] && isText(children[i + 1])) {
+                currentContainer = children[i] = {
+                    type: NodeTypes.COMPOUND_EXPRESSION,
+                    children: [child],
+                };
+            }
+        }
+    };
+};
+
+/**
+ * @description 文本类节点的表达式
+ */
+const createTextCodegen = (node) => {
+    if (node.type === NodeTypes.TEXT) {
+        return createSimpleExpression(node.content, true);
+    }
+    return node;
+};
+
+/**
+ * @description 将 vnode 的 codegenNode 标记为 Block
+ * @param {Object} codegen codegenNode，只有 vnode 才能成为 Block
+ * @param {Object} context 转换上下文
+ * @param {Boolean} disableTracking 是否停止收集动态节点
+ */
+const makeBlock = (codegen, context, disableTracking = false) => {
+    if (codegen.type === NodeTypes.VNODE && !codegen.isBlock) {
+        codegen.isBlock = true;
+        codegen.disableTracking = disableTracking;
+        context.helper('openBlock');
+        context.helper('createBlock');
+    }
+    return codegen;
+};
+
+/**
+ * @description 获取子节点的 codegenNode，文本会被包裹为 Text 类型的 vnode
+ * @param {Object} node 子节点
+ * @param {Object} context 转换上下文
+ * @param {Boolean} hoistStatic 是否标记并提升静态元素，静态元素的子节点不需要再单独处理
+ */
+const createChildCodegen = (node, context, hoistStatic = true) => {
+    if (isText(node)) {
+        return createVNodeCall(
+            createSimpleExpression(context.helper('Text')),
+            null,
+            createTextCodegen(node),
+            node.type === NodeTypes.TEXT ? 0 : PatchFlags.TEXT,
+        );
+    }
+    if (hoistStatic && node.isStatic) {
+        node.codegenNode.patchFlag = PatchFlags.HOISTED;
+        return context.hoist(node.codegenNode);
+    }
+    return node.codegenNode;
+};
+
+/**
+ * @description 将一组子节点转换为单个 vnode 的 codegenNode，多个子节点会被包裹在 Fragment 中
+ * * 模板的根节点、v-if 的分支、v-for 的每一项以及插槽内容都由它生成，生成的 vnode 是一个 Block
+ * @param {Array} children 子节点
+ * @param {Object} context 转换上下文
+ * @param {Boolean} allowEmpty 是否允许为空，为空时渲染一个注释节点
+ */
+const createChildrenCodegen = (children, context, allowEmpty = false) => {
+    if (!children.length && allowEmpty) {
+        return makeBlock(createVNodeCall(
+            createSimpleExpression(context.helper('Comment')),
+            null,
+            createSimpleExpression('', true),
+        ), context);
+    }
+    if (children.length === 1) {
+        // 单个子节点可能会直接作为组件的根节点，只标记为静态节点，不做提升
+        const [child] = children;
+        child.isStatic && (child.codegenNode.patchFlag = PatchFlags.HOISTED);
+        return makeBlock(createChildCodegen(child, context, false), context);
+    }
+    return makeBlock(createVNodeCall(
+        createSimpleExpression(context.helper('Fragment')),
+        null,
+        createArrayExpression(children.map(child => createChildCodegen(child, context))),
+    ), context);
+};
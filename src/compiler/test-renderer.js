@@ -0,0 +1,291 @@
+/**
+ * @file 测试渲染器，基于同一个 createRenderer，将 vnode 渲染为内存中的普通对象
+ * * 不依赖 DOM，可以直接在 Node.js 中对组件进行单元测试，渲染结果可以序列化为 JSON 进行断言
+ *
+ * @example
+ * const root = createTestRoot();
+ * render({ type: Counter }, root);
+ * triggerEvent(findByTag(root, 'button'), 'click');
+ * await nextTick();
+ * serialize(root.children[0]);
+ * // => '{"type":"element","tag":"div","props":{},"children":[...]}'
+ * toJSON(root.children[0]);
+ * // => { type: 'element', tag: 'div', props: {}, children: [...] }
+ */
+
+import createRenderer from './index.js';
+import { ErrorTypes, callWithErrorHandling } from '@/utils/errorHandling';
+
+export { nextTick } from '@/core/scheduler';
+
+/**
+ * @description 测试节点的类型，与渲染器的 HostNodeTypes 一致
+ * @readonly
+ */
+export const TestNodeTypes = {
+    ELEMENT: 'element',
+    TEXT: 'text',
+    COMMENT: 'comment',
+};
+
+// 通过 createTestRoot 创建的根节点，querySelector 从这些根节点开始查找
+// * 只保存根节点的弱引用，测试中不再使用的根节点可以被垃圾回收，已经回收的根节点在遍历时移除
+const roots = new Set();
+
+const eachRoot = (callback) => {
+    for (const ref of roots) {
+        const root = ref.deref();
+        if (!root) {
+            roots.delete(ref);
+        } else if (callback(root) === false) {
+            return;
+        }
+    }
+};
+
+const createTestElement = (tag) => ({
+    type: TestNodeTypes.ELEMENT,
+    tag,
+    props: {},
+    // 事件名 => 事件处理函数及其所属的组件实例，例如 { click: { value: handler, instance } }
+    eventListeners: {},
+    children: [],
+    parentNode: null,
+});
+
+const createTestText = (type, text) => ({
+    type,
+    text,
+    parentNode: null,
+});
+
+/**
+ * @description 创建一个根节点作为 render 的容器
+ * @param {String} tag 根节点的标签名
+ */
+export const createTestRoot = (tag = 'root') => {
+    const root = createTestElement(tag);
+    roots.add(new WeakRef(root));
+    return root;
+};
+
+const remove = (node) => {
+    const parent = node.parentNode;
+    if (parent) {
+        parent.children.splice(parent.children.indexOf(node), 1);
+        node.parentNode = null;
+    }
+};
+
+const insert = (node, parent, anchor = null) => {
+    // 与 insertBefore 一致，已经挂载的节点会先从原来的位置移除
+    remove(node);
+    const index = anchor ? parent.children.indexOf(anchor) : -1;
+    if (index === -1) {
+        parent.children.push(node);
+    } else {
+        parent.children.splice(index, 0, node);
+    }
+    node.parentNode = parent;
+};
+
+const setElementText = (el, text) => {
+    el.children.forEach(child => {
+        child.parentNode = null;
+    });
+    el.children = [];
+    if (text !== '' && text !== null && text !== undefined) {
+        insert(createTestText(TestNodeTypes.TEXT, String(text)), el);
+    }
+};
+
+const nextSibling = (node) => {
+    const parent = node.parentNode;
+    return parent ? parent.children[parent.children.indexOf(node) + 1] ?? null : null;
+};
+
+/**
+ * @description 获取节点的文本内容，元素返回所有后代文本节点的内容，与 DOM 的 textContent 一致
+ */
+const textContent = (node) => {
+    if (node.type === TestNodeTypes.ELEMENT) {
+        return node.children
+            .filter(child => child.type !== TestNodeTypes.COMMENT)
+            .map(textContent)
+            .join('');
+    }
+    return node.text;
+};
+
+/**
+ * @description 判断元素是否匹配选择器，只支持 #id、.class 以及标签名
+ */
+const matches = (el, selector) => {
+    if (selector[0] === '#') {
+        return el.props.id === selector.slice(1);
+    } else if (selector[0] === '.') {
+        return getClassList(el).includes(selector.slice(1));
+    }
+    return el.tag === selector;
+};
+
+const findElement = (el, predicate) => {
+    for (const child of el.children) {
+        if (child.type !== TestNodeTypes.ELEMENT) continue;
+        if (predicate(child)) return child;
+        const found = findElement(child, predicate);
+        if (found) return found;
+    }
+    return null;
+};
+
+const querySelector = (selector) => {
+    let found = null;
+    eachRoot(root => {
+        found = matches(root, selector) ? root : findElement(root, el => matches(el, selector));
+        return !found;
+    });
+    return found;
+};
+
+/**
+ * @description 更新测试节点的属性，与 DOM 渲染器一致，事件处理函数会记录所属的组件实例
+ * @param {Object} parentComponent 元素所属的组件实例，事件处理函数出错时交给它的错误处理
+ */
+const patchProps = (el, key, prevValue, nextValue, parentComponent = null) => {
+    if (/^on/.test(key)) {
+        const name = key.slice(2).toLowerCase();
+        if (nextValue) {
+            el.eventListeners[name] = { value: nextValue, instance: parentComponent };
+        } else {
+            Reflect.deleteProperty(el.eventListeners, name);
+        }
+    } else if (nextValue === null || nextValue === undefined) {
+        Reflect.deleteProperty(el.props, key);
+    } else {
+        el.props[key] = nextValue;
+    }
+};
+
+const getClassList = (el) => {
+    return typeof el.props.class === 'string' ? el.props.class.split(/\s+/).filter(Boolean) : [];
+};
+
+const addClass = (el, className) => {
+    const classList = getClassList(el);
+    if (!classList.includes(className)) {
+        el.props.class = [...classList, className].join(' ');
+    }
+};
+
+const removeClass = (el, className) => {
+    const classList = getClassList(el).filter(name => name !== className);
+    if (classList.length) {
+        el.props.class = classList.join(' ');
+    } else {
+        Reflect.deleteProperty(el.props, 'class');
+    }
+};
+
+/**
+ * @description 测试渲染器的配置项
+ * * 测试环境中没有动画帧和过渡动画，nextFrame、whenTransitionEnds 都会立即执行回调
+ */
+export const nodeOps = {
+    createElement: createTestElement,
+    createTextNode: (text) => createTestText(TestNodeTypes.TEXT, text),
+    createComment: (text) => createTestText(TestNodeTypes.COMMENT, text),
+    insert,
+    remove,
+    setElementText,
+    setText: (node, text) => {
+        node.text = text;
+    },
+    parentNode: (node) => node.parentNode,
+    nextSibling,
+    firstChild: (el) => el.children[0] ?? null,
+    nodeType: (node) => node.type,
+    tagName: (el) => el.tag,
+    textContent,
+    querySelector,
+    patchProps,
+    nextFrame: (callback) => callback(),
+    addClass,
+    removeClass,
+    whenTransitionEnds: (el, callback) => callback(),
+};
+
+export const {
+    render,
+    hydrate,
+    createApp,
+    defineAsyncComponent,
+    onBeforeMount,
+    onMounted,
+    onBeforeUpdate,
+    onUpdated,
+    onBeforeUnmount,
+    onUnmounted,
+    onActivated,
+    onDeactivated,
+    onErrorCaptured,
+    provide,
+    inject,
+    KeepAlive,
+    Teleport,
+    Transition,
+} = createRenderer(nodeOps);
+
+/**
+ * @description 触发元素上的事件，事件处理函数中的错误会交给所属组件的错误处理
+ * @param {Object} el 测试节点
+ * @param {String} event 事件名，例如 click
+ * @param  {...any} payload 传递给事件处理函数的参数
+ */
+export const triggerEvent = (el, event, ...payload) => {
+    const listener = el.eventListeners[event];
+    if (!listener) return;
+    const { value, instance } = listener;
+    if (Array.isArray(value)) {
+        value.forEach(fn => callWithErrorHandling(fn, instance, ErrorTypes.NATIVE_EVENT_HANDLER, payload));
+    } else {
+        callWithErrorHandling(value, instance, ErrorTypes.NATIVE_EVENT_HANDLER, payload);
+    }
+};
+
+/**
+ * @description 按照标签名查找第一个匹配的子元素
+ * @param {Object} el 测试节点
+ * @param {String} tag 标签名
+ */
+export const findByTag = (el, tag) => findElement(el, child => child.tag === tag);
+
+/**
+ * @description 将测试节点转换为可以 JSON 序列化的对象，会忽略 parentNode 与事件处理函数
+ * * 渲染器挂载 Fragment 时使用的空文本锚点不会出现在结果中
+ * @param {Object} node 测试节点
+ * @returns {Object}
+ */
+export const toJSON = (node) => {
+    if (node.type === TestNodeTypes.ELEMENT) {
+        return {
+            type: node.type,
+            tag: node.tag,
+            props: { ...node.props },
+            children: node.children
+                .filter(child => !(child.type === TestNodeTypes.TEXT && child.text === ''))
+                .map(toJSON),
+        };
+    }
+    return {
+        type: node.type,
+        text: node.text,
+    };
+};
+
+/**
+ * @description 将测试节点序列化为 JSON 字符串
+ * @param {Object} node 测试节点
+ * @param {Number} space 缩进
+ */
+export const serialize = (node, space = 0) => JSON.stringify(toJSON(node), null, space);
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { parse, compile, compileToFunction, NodeTypes, ErrorCodes, CompilerError } from '@/compiler/template/index.js';
+
+const collectErrors = (template, compileFn = parse) => {
+    const errors = [];
+    compileFn(template, { onError: e => errors.push(e) });
+    return errors;
+};
+
+describe('parse', () => {
+    it('解析元素、属性、指令与插值，并记录位置信息', () => {
+        const ast = parse('<div :id="id" class="a">\n  {{ msg }}\n  <span @click.stop="go">x</span>\n</div>');
+        const div = ast.children[0];
+
+        expect(div.type).toBe(NodeTypes.ELEMENT);
+        expect(div.tag).toBe('div');
+        expect(div.loc.start).toEqual({ line: 1, column: 1, offset: 0 });
+        expect(div.props.map(p => p.loc.source)).toEqual([':id="id"', 'class="a"']);
+
+        const interpolation = div.children.find(c => c.type === NodeTypes.INTERPOLATION);
+        expect(interpolation.content.content).toBe('msg');
+        expect(interpolation.loc.start.line).toBe(2);
+
+        const span = div.children.find(c => c.type === NodeTypes.ELEMENT);
+        expect(span.props[0].name).toBe('on');
+        expect(span.props[0].arg.content).toBe('click');
+        expect(span.props[0].modifiers).toEqual(['stop']);
+    });
+
+    it('解码字符引用', () => {
+        const ast = parse('<p>&lt;a&gt; &#x41;&#66;</p>');
+        expect(ast.children[0].children[0].content).toBe('<a> AB');
+    });
+
+    it('无效的字符引用通过 onError 报告，并替换为 U+FFFD', () => {
+        const errors = [];
+        const ast = parse('<p>a &#99999999; b &#xD800; &#0;</p>', { onError: e => errors.push(e) });
+
+        expect(ast.children[0].children[0].content).toBe('a � b � �');
+        expect(errors.map(e => e.code)).toEqual([
+            ErrorCodes.INVALID_CHARACTER_REFERENCE,
+            ErrorCodes.INVALID_CHARACTER_REFERENCE,
+            ErrorCodes.INVALID_CHARACTER_REFERENCE,
+        ]);
+        expect(errors[0].loc.source).toBe('&#99999999;');
+    });
+
+    it('语法错误默认抛出 CompilerError', () => {
+        expect(() => parse('<div>')).toThrow(CompilerError);
+        try {
+            parse('<div>');
+        } catch (e) {
+            expect(e.code).toBe(ErrorCodes.MISSING_END_TAG);
+            expect(e.loc.start).toEqual({ line: 1, column: 1, offset: 0 });
+        }
+    });
+
+    it('传入 onError 时收集所有错误，不会中断解析', () => {
+        const codes = collectErrors('<div a="1" a="2" @="x" :[d]="z"><span></div></p>{{ oops').map(e => e.code);
+        expect(codes).toEqual(expect.arrayContaining([
+            ErrorCodes.DUPLICATE_ATTRIBUTE,
+            ErrorCodes.X_MISSING_DIRECTIVE_ARGUMENT,
+            ErrorCodes.X_DYNAMIC_ARGUMENT_UNSUPPORTED,
+            ErrorCodes.MISSING_END_TAG,
+            ErrorCodes.INVALID_END_TAG,
+            ErrorCodes.MISSING_INTERPOLATION_END,
+        ]));
+    });
+});
+
+describe('transform', () => {
+    it('报告指令相关的错误', () => {
+        const codes = collectErrors('<div v-else></div><p v-for="bad"></p><a :x=""></a>', compile).map(e => e.code);
+        expect(codes).toEqual([
+            ErrorCodes.X_V_ELSE_NO_ADJACENT_IF,
+            ErrorCodes.X_V_FOR_MALFORMED_EXPRESSION,
+            ErrorCodes.X_V_BIND_NO_EXPRESSION,
+        ]);
+    });
+});
+
+describe('codegen', () => {
+    it('静态节点被提升到渲染函数之外', () => {
+        const { code } = compile('<div><p>static <b>bold</b></p><span>{{ msg }}</span></div>');
+        expect(code).toContain('const _hoisted_1 = ');
+        expect(code).toContain('-1 /* HOISTED */');
+        expect(code).toContain('_toDisplayString(msg), 1 /* TEXT */');
+    });
+
+    it('动态属性生成 patchFlag 与 dynamicProps', () => {
+        const { code } = compile('<p :class="c" :id="id" @click="go">{{ msg }}</p>');
+        expect(code).toContain('11 /* TEXT, CLASS, PROPS */, ["id","onClick"]');
+    });
+
+    it('自定义指令在渲染函数中解析，并通过 withDirectives 添加到 vnode 上', () => {
+        const { code } = compile('<div><p v-focus:a.b.c="n">x</p><i v-my-dir></i></div>');
+        expect(code).toContain('const _directive_focus = _resolveDirective(_ctx, "focus");');
+        expect(code).toContain('const _directive_my_dir = _resolveDirective(_ctx, "my-dir");');
+        expect(code).toContain('_withDirectives(_createVNode("p", null, "x", 32 /* NEED_PATCH */), [[_directive_focus, n, "a", { b: true, c: true }]])');
+        expect(code).toContain('_withDirectives(_createVNode("i", null, null, 32 /* NEED_PATCH */), [[_directive_my_dir, void 0]])');
+    });
+
+    it('块节点收集动态的后代节点', () => {
+        const render = compileToFunction('<div><p>static</p><span :id="id">{{ msg }}</span><i>x</i></div>');
+        const vnode = render({ id: 1, msg: 'm' });
+        expect(vnode.dynamicChildren.map(child => child.type)).toEqual(['span']);
+    });
+});
+
+describe('compileToFunction', () => {
+    it('渲染函数返回 vnode，并支持 v-if 与 v-for', () => {
+        const render = compileToFunction('<ul><li v-for="i in list" :key="i">{{ i }}</li><li v-if="ok">yes</li><li v-else>no</li></ul>');
+        const vnode = render({ list: [1, 2], ok: false });
+
+        expect(vnode.type).toBe('ul');
+        const [fragment, branch] = vnode.children;
+        expect(fragment.children.map(li => [li.key, li.children])).toEqual([[1, '1'], [2, '2']]);
+        expect(branch.children).toBe('no');
+    });
+
+    it('相同的模板只编译一次', () => {
+        const template = '<div>{{ n }}</div>';
+        expect(compileToFunction(template)).toBe(compileToFunction(template));
+    });
+});
@@ -0,0 +1,263 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    ref,
+    shallowRef,
+    triggerRef,
+    customRef,
+    isRef,
+    toRef,
+    toRefs,
+    reactive,
+    readonly,
+    shallowReactive,
+    isReactive,
+    isReadonly,
+    isProxy,
+    toRaw,
+    effect,
+    computed,
+    watch,
+    nextTick,
+    effectScope,
+} from '@/core/index.js';
+
+describe('ref', () => {
+    it('ref 是普通对象，不是响应式代理', () => {
+        const count = ref(1);
+        expect(isRef(count)).toBe(true);
+        expect(isReactive(count)).toBe(false);
+        expect(isProxy(count)).toBe(false);
+        expect(toRaw(count)).toBe(count);
+    });
+
+    it('读取 value 时收集依赖，值变化时才触发更新', () => {
+        const count = ref(1);
+        const fn = vi.fn(() => count.value);
+        effect(fn);
+
+        count.value = 2;
+        count.value = 2;
+        expect(fn).toHaveBeenCalledTimes(2);
+
+        const nan = ref(NaN);
+        const nanFn = vi.fn(() => nan.value);
+        effect(nanFn);
+        nan.value = NaN;
+        expect(nanFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('对象类型的值被转换为响应式数据', () => {
+        const state = ref({ a: 1 });
+        const fn = vi.fn(() => state.value.a);
+        effect(fn);
+
+        expect(isReactive(state.value)).toBe(true);
+        state.value.a = 2;
+        expect(fn).toHaveBeenCalledTimes(2);
+
+        // 设置为同一个对象的响应式版本不会触发更新
+        state.value = reactive(toRaw(state.value));
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('shallowRef 只在替换 value 时触发更新，triggerRef 可以手动触发', () => {
+        const state = shallowRef({ count: 1 });
+        const fn = vi.fn(() => state.value.count);
+        effect(fn);
+
+        expect(isReactive(state.value)).toBe(false);
+        state.value.count = 2;
+        expect(fn).toHaveBeenCalledTimes(1);
+        triggerRef(state);
+        expect(fn).toHaveBeenCalledTimes(2);
+        state.value = { count: 3 };
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('在副作用函数中调用 triggerRef 不会收集依赖', () => {
+        const state = shallowRef(1);
+        const fn = vi.fn(() => triggerRef(state));
+        effect(fn);
+
+        state.value = 2;
+        expect(fn).toHaveBeenCalledTimes(1);
+
+        const get = vi.fn(() => 1);
+        const custom = customRef(() => ({ get, set() {} }));
+        triggerRef(custom);
+        expect(get).not.toHaveBeenCalled();
+    });
+
+    it('customRef 由 factory 决定何时收集依赖、何时触发更新', () => {
+        let value = 'a';
+        const text = customRef((track, trigger) => ({
+            get() {
+                track();
+                return value;
+            },
+            set(newValue) {
+                value = newValue.toUpperCase();
+                trigger();
+            },
+        }));
+        let dummy;
+        effect(() => {
+            dummy = text.value;
+        });
+        text.value = 'b';
+        expect(dummy).toBe('B');
+    });
+
+    it('toRef、toRefs 与原对象保持同步，reactive 中的 ref 会被自动解包', () => {
+        const state = reactive({ foo: 1, bar: 2 });
+        const { foo, bar } = toRefs(state);
+        foo.value = 10;
+        expect(state.foo).toBe(10);
+        state.bar = 20;
+        expect(bar.value).toBe(20);
+        expect(toRef(state, 'foo').value).toBe(10);
+
+        const wrapped = reactive({ count: ref(1) });
+        expect(wrapped.count).toBe(1);
+        wrapped.count = 5;
+        expect(wrapped.count).toBe(5);
+    });
+});
+
+describe('reactive', () => {
+    it('深层响应，readonly 与 shallowReactive 的标识正确', () => {
+        const state = reactive({ nested: { n: 1 } });
+        const fn = vi.fn(() => state.nested.n);
+        effect(fn);
+        state.nested.n++;
+        expect(fn).toHaveBeenCalledTimes(2);
+
+        const ro = readonly({ a: 1 });
+        expect(isReadonly(ro)).toBe(true);
+        expect(isReactive(ro)).toBe(false);
+        expect(isProxy(ro)).toBe(true);
+        expect(isReactive(shallowReactive({ a: {} }).a)).toBe(false);
+    });
+
+    it('不同类型的代理分别缓存，readonly 可以包裹 reactive', () => {
+        const raw = { a: 1 };
+        expect(reactive(raw)).toBe(reactive(raw));
+        expect(readonly(raw)).toBe(readonly(raw));
+        expect(readonly(raw)).not.toBe(reactive(raw));
+        expect(shallowReactive(raw)).not.toBe(reactive(raw));
+
+        const wrapped = readonly(reactive(raw));
+        expect(isReadonly(wrapped)).toBe(true);
+        expect(isReactive(wrapped)).toBe(true);
+        expect(toRaw(wrapped)).toBe(raw);
+    });
+
+    it('数组的变更方法只在调用结束后触发一次依赖', () => {
+        const list = reactive([3, 1, 2]);
+        const fn = vi.fn(() => list.join(','));
+        effect(fn);
+
+        list.sort();
+        list.reverse();
+        list.fill(0, 1);
+        list.copyWithin(0, 1);
+        list.splice(1, 1, 7, 8);
+        expect(fn).toHaveBeenCalledTimes(6);
+        expect(list.join(',')).toBe('0,7,8,0');
+    });
+
+    it('Map 的 keys 只在新增、删除键时触发依赖', () => {
+        const map = reactive(new Map([['a', 1]]));
+        const fn = vi.fn(() => [...map.keys()]);
+        effect(fn);
+
+        // 修改已有键的值不会改变键的集合
+        map.set('a', 2);
+        expect(fn).toHaveBeenCalledTimes(1);
+        map.set('b', 1);
+        map.delete('a');
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('Map 的 values 在修改已有键的值时触发依赖', () => {
+        const map = reactive(new Map([['a', 1]]));
+        const fn = vi.fn(() => [...map.values()]);
+        effect(fn);
+
+        map.set('a', 2);
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('只读集合的修改方法只会警告，返回值与原生方法一致', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const map = readonly(new Map([['a', 1]]));
+        const set = readonly(new Set([1]));
+
+        expect(map.set('b', 2)).toBe(map);
+        expect(set.add(2)).toBe(set);
+        expect(map.delete('a')).toBe(false);
+        expect(map.clear()).toBe(undefined);
+        expect(set.clear()).toBe(undefined);
+        expect(map.size).toBe(1);
+        expect(warn).toHaveBeenCalledTimes(5);
+        warn.mockRestore();
+    });
+});
+
+describe('computed', () => {
+    it('懒执行并缓存计算结果', () => {
+        const count = ref(1);
+        const getter = vi.fn(() => count.value * 2);
+        const double = computed(getter);
+        expect(getter).not.toHaveBeenCalled();
+
+        expect(double.value).toBe(2);
+        expect(double.value).toBe(2);
+        expect(getter).toHaveBeenCalledTimes(1);
+
+        count.value = 2;
+        expect(double.value).toBe(4);
+        expect(getter).toHaveBeenCalledTimes(2);
+    });
+
+    it('没有 set 的 computed 是只读的，修改时只会警告', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const count = ref(1);
+        const readonlyComputed = computed({ get: () => count.value });
+
+        expect(() => {
+            readonlyComputed.value = 2;
+        }).not.toThrow();
+        expect(readonlyComputed.value).toBe(1);
+        expect(warn).toHaveBeenCalledWith('computed 是只读的，无法修改它的值');
+        warn.mockRestore();
+    });
+});
+
+describe('watch', () => {
+    it('在下一次刷新时执行回调，并传入新值与旧值', async () => {
+        const count = ref(1);
+        const cb = vi.fn();
+        watch(count, cb);
+
+        count.value = 2;
+        count.value = 3;
+        expect(cb).not.toHaveBeenCalled();
+        await nextTick();
+        expect(cb).toHaveBeenCalledTimes(1);
+        expect(cb.mock.calls[0].slice(0, 2)).toEqual([3, 1]);
+    });
+});
+
+describe('effectScope', () => {
+    it('stop 停止作用域内的所有副作用', () => {
+        const count = ref(1);
+        const fn = vi.fn(() => count.value);
+        const scope = effectScope();
+        scope.run(() => effect(fn));
+
+        scope.stop();
+        count.value = 2;
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,383 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    createTestRoot,
+    createApp,
+    render,
+    hydrate,
+    nodeOps,
+    nextTick,
+    serialize,
+    toJSON,
+    triggerEvent,
+    findByTag,
+    provide,
+    inject,
+    onBeforeMount,
+    onMounted,
+    onBeforeUpdate,
+    onUnmounted,
+    onErrorCaptured,
+} from '@/compiler/test-renderer.js';
+import { Fragment } from '@/compiler/index.js';
+import { createAppContext } from '@/compiler/app.js';
+import { renderToString } from '@/compiler/server-renderer.js';
+import { parse, NodeTypes } from '@/compiler/template/index.js';
+import { ref } from '@/core/index.js';
+
+const text = (node) => node.children.map(child => child.text ?? text(child)).join('');
+
+/**
+ * @description 将服务端渲染的 HTML 转换为测试节点，插入到 container 中
+ */
+const appendHTML = (container, html) => {
+    const append = (parent, node) => {
+        let el;
+        if (node.type === NodeTypes.ELEMENT) {
+            el = nodeOps.createElement(node.tag);
+            node.props.forEach(prop => {
+                el.props[prop.name] = prop.value?.content ?? '';
+            });
+            node.children.forEach(child => append(el, child));
+        } else if (node.type === NodeTypes.TEXT) {
+            el = nodeOps.createTextNode(node.content);
+        } else {
+            el = nodeOps.createComment(node.content);
+        }
+        nodeOps.insert(el, parent);
+    };
+    parse(html).children.forEach(child => append(container, child));
+};
+
+describe('组件渲染', () => {
+    it('模板组件挂载、响应事件并在下一次刷新时更新', async () => {
+        const Counter = {
+            template: '<div class="c"><button @click="n++">+</button><span>{{ n }}</span><p v-if="n < 2">small</p></div>',
+            data: () => ({ n: 0 }),
+        };
+        const root = createTestRoot();
+        render({ type: Counter }, root);
+        expect(text(root)).toBe('+0small');
+
+        triggerEvent(findByTag(root, 'button'), 'click');
+        triggerEvent(findByTag(root, 'button'), 'click');
+        expect(text(findByTag(root, 'span'))).toBe('0');
+        await nextTick();
+        expect(text(findByTag(root, 'span'))).toBe('2');
+        expect(findByTag(root, 'p')).toBe(null);
+    });
+
+    it('卸载时执行生命周期钩子并清空容器', () => {
+        const calls = [];
+        const Comp = {
+            setup() {
+                onMounted(() => calls.push('mounted'));
+                onUnmounted(() => calls.push('unmounted'));
+                return () => ({ type: 'i', children: 'x' });
+            },
+        };
+        const root = createTestRoot();
+        render({ type: Comp }, root);
+        render(null, root);
+        expect(calls).toEqual(['mounted', 'unmounted']);
+        expect(toJSON(root).children).toEqual([]);
+    });
+
+    it('beforeMount、beforeUpdate 中修改的状态在本次渲染中生效', async () => {
+        const count = ref(0);
+        const label = ref('');
+        const Comp = {
+            setup() {
+                onBeforeMount(() => {
+                    label.value = 'a';
+                });
+                onBeforeUpdate(() => {
+                    label.value = 'b';
+                });
+                return () => ({ type: 'i', children: `${count.value}-${label.value}` });
+            },
+        };
+        const root = createTestRoot();
+        render({ type: Comp }, root);
+        expect(text(root)).toBe('0-a');
+
+        count.value++;
+        await nextTick();
+        expect(text(root)).toBe('1-b');
+    });
+
+    it('props 之外的属性作为 attrs，并随父组件更新', async () => {
+        const props = ref({ a: 'x', id: 'q', title: 't' });
+        const Child = {
+            props: ['a'],
+            render() {
+                return { type: 'i', children: `${this.a}|${JSON.stringify(this.$.attrs)}` };
+            },
+        };
+        const root = createTestRoot();
+        render({ type: { render: () => ({ type: Child, props: props.value }) } }, root);
+        expect(text(root)).toBe('x|{"id":"q","title":"t"}');
+
+        props.value = { a: 'y', id: 'z' };
+        await nextTick();
+        expect(text(root)).toBe('y|{"id":"z"}');
+    });
+
+    it('provide 的数据可以被后代组件 inject，就近的 provide 优先', async () => {
+        const theme = ref('dark');
+        const Leaf = {
+            setup() {
+                const value = inject('theme');
+                const fallback = inject('missing', 'dflt');
+                return () => ({ type: 'p', children: `${value.value},${fallback}` });
+            },
+        };
+        const Middle = {
+            setup() {
+                provide('theme', ref('override'));
+                return () => ({ type: Leaf });
+            },
+        };
+        const App = {
+            setup() {
+                provide('theme', theme);
+                return () => ({ type: 'div', children: [{ type: Middle }, { type: Leaf }] });
+            },
+        };
+        const root = createTestRoot();
+        render({ type: App }, root);
+        expect(text(root)).toBe('override,dfltdark,dflt');
+
+        theme.value = 'light';
+        await nextTick();
+        expect(text(root)).toBe('override,dfltlight,dflt');
+    });
+
+    it('显式传入 undefined 作为默认值时不会警告，在 setup 之外调用时通过 warn 警告', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        let value = null;
+        const Comp = {
+            setup() {
+                value = inject('missing', undefined);
+                return () => ({ type: 'i' });
+            },
+        };
+        render({ type: Comp }, createTestRoot());
+        expect(value).toBe(undefined);
+        expect(warn).not.toHaveBeenCalled();
+
+        onMounted(() => {});
+        expect(warn.mock.calls.map(([msg]) => msg)).toEqual(['onMounted 函数只能在 setup 中调用']);
+        warn.mockRestore();
+    });
+});
+
+describe('错误处理', () => {
+    it('事件处理函数中的错误交给所属组件的 errorCaptured', () => {
+        const captured = vi.fn(() => false);
+        const Child = {
+            setup() {
+                return () => ({
+                    type: 'button',
+                    props: {
+                        onClick: () => {
+                            throw new Error('click boom');
+                        },
+                    },
+                });
+            },
+        };
+        const Parent = {
+            setup() {
+                onErrorCaptured(captured);
+                return () => ({ type: Child });
+            },
+        };
+        const root = createTestRoot();
+        render({ type: Parent }, root);
+
+        expect(() => triggerEvent(findByTag(root, 'button'), 'click')).not.toThrow();
+        expect(captured).toHaveBeenCalledTimes(1);
+        expect(captured.mock.calls[0][0].message).toBe('click boom');
+        expect(captured.mock.calls[0][2]).toBe('native event handler');
+    });
+
+    it('更新任务中的错误交给应用的 errorHandler，其他组件正常更新', async () => {
+        const n = ref(0);
+        const Bad = {
+            render() {
+                if (n.value === 1) throw new Error('render boom');
+                return { type: 'b', children: String(n.value) };
+            },
+        };
+        const Good = { render: () => ({ type: 'i', children: String(n.value) }) };
+        const context = createAppContext();
+        context.config.errorHandler = vi.fn();
+        const root = createTestRoot();
+        render({ type: { render: () => ({ type: 'div', children: [{ type: Bad }, { type: Good }] }) }, appContext: context }, root);
+
+        n.value = 1;
+        await nextTick();
+        expect(context.config.errorHandler).toHaveBeenCalledTimes(1);
+        expect(context.config.errorHandler.mock.calls[0][0].message).toBe('render boom');
+        expect(text(findByTag(root, 'i'))).toBe('1');
+    });
+
+    it('初次挂载时的错误交给 errorCaptured，不会从 render 中抛出', () => {
+        const captured = vi.fn(() => false);
+        const Broken = {
+            render: () => ({
+                type: 'div',
+                // 读取属性时抛出错误，模拟挂载子树的过程中出错
+                props: Object.defineProperty({}, 'id', {
+                    enumerable: true,
+                    get() {
+                        throw new Error('mount boom');
+                    },
+                }),
+            }),
+        };
+        const Parent = {
+            setup() {
+                onErrorCaptured(captured);
+                return () => ({ type: 'section', children: [{ type: Broken }, { type: 'p', children: 'sibling' }] });
+            },
+        };
+        const root = createTestRoot();
+
+        expect(() => render({ type: Parent }, root)).not.toThrow();
+        expect(captured.mock.calls.map(([err, , info]) => [err.message, info])).toEqual([['mount boom', 'render function']]);
+        expect(text(findByTag(root, 'p'))).toBe('sibling');
+    });
+
+    it('errorCaptured 钩子本身出错时继续向上传递', () => {
+        const handler = vi.fn();
+        const Thrower = {
+            setup() {
+                throw new Error('setup boom');
+            },
+        };
+        const Middle = {
+            errorCaptured() {
+                throw new Error('hook boom');
+            },
+            render: () => ({ type: Thrower }),
+        };
+        const context = createAppContext();
+        context.config.errorHandler = handler;
+        const root = createTestRoot();
+        render({ type: Middle, appContext: context }, root);
+
+        expect(handler.mock.calls.map(([err, , info]) => [err.message, info])).toEqual([
+            ['hook boom', 'errorCaptured hook'],
+            ['setup boom', 'setup function'],
+        ]);
+    });
+});
+
+describe('createApp', () => {
+    it('安装插件、注册全局组件并挂载到选择器对应的容器', async () => {
+        const n = ref(1);
+        const Child = { props: { n: Number }, template: '<span>{{ $t(\'hi\') }} {{ n }}</span>' };
+        const App = { props: { title: String }, template: '<div><h1>{{ title }}</h1><global-child :n="count" /></div>', setup: () => ({ count: n }) };
+        const plugin = {
+            install(app, options) {
+                app.config.globalProperties.$t = (key) => options.prefix + key;
+                app.component('GlobalChild', Child);
+            },
+        };
+        const root = createTestRoot('main');
+        root.props.id = 'app';
+
+        const app = createApp(App, { title: 'T' });
+        expect(app.use(plugin, { prefix: '>' })).toBe(app);
+        const vm = app.mount('#app');
+        expect(vm.title).toBe('T');
+        expect(text(root)).toBe('T>hi 1');
+
+        n.value = 2;
+        await nextTick();
+        expect(text(root)).toBe('T>hi 2');
+
+        app.unmount();
+        expect(serialize(root)).toBe('{"type":"element","tag":"main","props":{"id":"app"},"children":[]}');
+    });
+
+    it('注册全局指令，模板中的指令在元素挂载、更新、卸载时调用钩子', async () => {
+        const calls = [];
+        const focus = {
+            mounted: (el, { value, arg, modifiers }) => calls.push(['mounted', el.tag, value, arg, modifiers]),
+            updated: (el, { value, oldValue }) => calls.push(['updated', value, oldValue]),
+            unmounted: (el, { instance }) => calls.push(['unmounted', instance.n]),
+        };
+        const color = vi.fn((el, { value }) => {
+            el.props.color = value;
+        });
+        const App = {
+            template: '<div><p v-focus:x.lazy="n" v-color="n > 1 ? \'red\' : \'blue\'" v-if="n < 3">text</p></div>',
+            data: () => ({ n: 1 }),
+        };
+        const root = createTestRoot();
+        root.props.id = 'directive-app';
+
+        const app = createApp(App);
+        expect(app.directive('focus', focus).directive('color', color)).toBe(app);
+        expect(app.directive('focus')).toBe(focus);
+        const vm = app.mount('#directive-app');
+        expect(calls).toEqual([['mounted', 'p', 1, 'x', { lazy: true }]]);
+        expect(findByTag(root, 'p').props.color).toBe('blue');
+
+        vm.n = 2;
+        await nextTick();
+        expect(calls[1]).toEqual(['updated', 2, 1]);
+        expect(findByTag(root, 'p').props.color).toBe('red');
+        expect(color).toHaveBeenCalledTimes(2);
+
+        vm.n = 3;
+        await nextTick();
+        expect(calls[2]).toEqual(['unmounted', 3]);
+    });
+});
+
+describe('激活', () => {
+    it('通过配置项读取测试节点，复用服务端渲染的节点并绑定事件', async () => {
+        const count = ref(0);
+        const App = {
+            render: () => ({
+                type: 'div',
+                props: { id: 'app' },
+                children: [
+                    { type: 'button', props: { onClick: () => count.value++ }, children: String(count.value) },
+                    { type: Fragment, children: [{ type: 'i', children: 'a' }, { type: 'i', children: 'b' }] },
+                ],
+            }),
+        };
+        const root = createTestRoot();
+        appendHTML(root, renderToString({ type: App }));
+        const button = findByTag(root, 'button');
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        hydrate({ type: App }, root);
+        expect(error).not.toHaveBeenCalled();
+        error.mockRestore();
+        expect(findByTag(root, 'button')).toBe(button);
+
+        triggerEvent(button, 'click');
+        await nextTick();
+        expect(text(button)).toBe('1');
+        // Fragment 复用服务端渲染的首尾锚点
+        expect(findByTag(root, 'div').children.map(child => child.tag ?? child.text)).toEqual(['button', '[', 'i', 'i', ']']);
+    });
+
+    it('节点不匹配时使用客户端渲染的结果替换', () => {
+        const root = createTestRoot();
+        appendHTML(root, '<p>server</p>');
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        hydrate({ type: { render: () => ({ type: 'span', children: 'client' }) } }, root);
+        expect(serialize(root)).toBe('{"type":"element","tag":"root","props":{},"children":[{"type":"element","tag":"span","props":{},"children":[{"type":"text","text":"client"}]}]}');
+        expect(error).toHaveBeenCalledWith('激活完成，但存在不匹配的节点');
+        warn.mockRestore();
+        error.mockRestore();
+    });
+});
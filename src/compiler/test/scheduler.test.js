@@ -0,0 +1,53 @@
+import { describe, it, expect, vi } from 'vitest';
+import { queueJob, queuePreFlushCb, queuePostFlushCb, invalidateJob, nextTick } from '@/core/scheduler';
+
+describe('scheduler', () => {
+    it('同一个任务在执行之前只会加入一次', async () => {
+        const job = vi.fn();
+        queueJob(job);
+        queueJob(job);
+        expect(job).not.toHaveBeenCalled();
+        await nextTick();
+        expect(job).toHaveBeenCalledTimes(1);
+    });
+
+    it('任务按照 id 从小到大执行，pre 回调在任务之前，post 回调在任务之后', async () => {
+        const calls = [];
+        const job = (id) => Object.assign(() => calls.push(`job${id}`), { id });
+        queuePostFlushCb(() => calls.push('post'));
+        queueJob(job(2));
+        queueJob(job(1));
+        queuePreFlushCb(() => calls.push('pre'));
+        await nextTick();
+        expect(calls).toEqual(['pre', 'job1', 'job2', 'post']);
+    });
+
+    it('invalidateJob 移除还未执行的任务', async () => {
+        const job = vi.fn();
+        queueJob(job);
+        invalidateJob(job);
+        await nextTick();
+        expect(job).not.toHaveBeenCalled();
+    });
+
+    it('任务出错时交给 job.onError，不影响其他任务的执行', async () => {
+        const err = new Error('boom');
+        const onError = vi.fn();
+        const failing = Object.assign(() => {
+            throw err;
+        }, { id: 1, onError });
+        const next = Object.assign(vi.fn(), { id: 2 });
+        queueJob(failing);
+        queueJob(next);
+        await nextTick();
+        expect(onError).toHaveBeenCalledWith(err);
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('nextTick 在刷新结束后执行回调', async () => {
+        const calls = [];
+        queueJob(() => calls.push('job'));
+        await nextTick(() => calls.push('tick'));
+        expect(calls).toEqual(['job', 'tick']);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderToString, renderToStream } from '@/compiler/server-renderer.js';
+import { defineAsyncComponent, createTestRoot, render, serialize } from '@/compiler/test-renderer.js';
+import { onScopeDispose } from '@/core/index.js';
+
+const collect = async (iterable) => {
+    let html = '';
+    for await (const chunk of iterable) {
+        html += chunk;
+    }
+    return html;
+};
+
+describe('renderToStream', () => {
+    it('等待异步组件加载完成后就地渲染', async () => {
+        const Async = defineAsyncComponent(() => Promise.resolve({ render: () => ({ type: 'i', children: 'async' }) }));
+        const App = { render: () => ({ type: 'div', children: [{ type: 'p', children: 'before' }, { type: Async }] }) };
+
+        const chunks = [];
+        for await (const chunk of renderToStream({ type: App })) {
+            chunks.push(chunk);
+        }
+        expect(chunks).toEqual(['<div><p>before</p>', '<i>async</i></div>']);
+    });
+
+    it('异步组件加载失败时停止外层组件的 scope，并抛出错误', async () => {
+        const dispose = vi.fn();
+        const Async = defineAsyncComponent(() => Promise.reject(new Error('load boom')));
+        const Parent = {
+            setup() {
+                onScopeDispose(dispose);
+                return () => ({ type: 'div', children: [{ type: Async }] });
+            },
+        };
+
+        await expect(collect(renderToStream({ type: Parent }))).rejects.toThrow('load boom');
+        expect(dispose).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('异步组件', () => {
+    it('加载完成的异步组件保留 props 与插槽，服务端与客户端渲染的结果一致', async () => {
+        const Inner = {
+            props: ['msg'],
+            render() {
+                return { type: 'p', children: [{ type: 'i', children: this.msg }, this.$slots.default()] };
+            },
+        };
+        const Async = defineAsyncComponent(() => Promise.resolve(Inner));
+        const vnode = () => ({ type: Async, props: { msg: 'hi' }, children: { default: () => ({ type: 'b', children: 'slot' }) } });
+
+        expect(await collect(renderToStream(vnode()))).toBe('<p><i>hi</i><b>slot</b></p>');
+        expect(renderToString(vnode())).toBe('<p><i>hi</i><b>slot</b></p>');
+
+        const root = createTestRoot();
+        render(vnode(), root);
+        expect(serialize(root)).toBe('{"type":"element","tag":"root","props":{},"children":[{"type":"element","tag":"p","props":{},"children":[{"type":"element","tag":"i","props":{},"children":[{"type":"text","text":"hi"}]},{"type":"element","tag":"b","props":{},"children":[{"type":"text","text":"slot"}]}]}]}');
+    });
+
+    it('服务端同步渲染未加载的异步组件时，不会留下 delay、timeout 定时器', () => {
+        vi.useFakeTimers();
+        try {
+            const Async = defineAsyncComponent({
+                loader: () => new Promise(() => {}),
+                delay: 200,
+                timeout: 3000,
+            });
+            expect(renderToString({ type: Async })).toBe('<!--Async Component Loading...-->');
+            expect(vi.getTimerCount()).toBe(0);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
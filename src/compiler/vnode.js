@@ -0,0 +1,132 @@
+/**
+ * @file 虚拟节点的创建，以及编译器为虚拟节点附加的优化信息
+ */
+
+/**
+ * @description 补丁标志，由模板编译器生成，渲染器根据它只更新节点中动态的部分
+ * * 多个标志通过按位或组合，例如 PatchFlags.TEXT | PatchFlags.CLASS
+ * * 手写的 vnode 没有 patchFlag，渲染器会按照完整的 diff 处理
+ * @readonly
+ */
+export const PatchFlags = {
+    // 动态的文本子节点
+    TEXT: 1,
+    // 动态的 class
+    CLASS: 1 << 1,
+    // 动态的 style
+    STYLE: 1 << 2,
+    // 除 class、style 之外的动态属性，动态属性的名称记录在 vnode.dynamicProps 中
+    PROPS: 1 << 3,
+    // 属性的名称是动态的，例如 v-bind="obj"，需要完整地对比所有属性
+    FULL_PROPS: 1 << 4,
+    // 属性没有变化，但节点需要参与更新，例如使用了自定义指令，更新时需要调用指令的钩子
+    NEED_PATCH: 1 << 5,
+    // 静态节点，整棵子树都不会变化，渲染器会直接跳过它的 diff
+    HOISTED: -1,
+};
+
+/**
+ * * Block 树
+ * * 模板的根节点、v-if 的每个分支、v-for 的每一项都是一个 Block，它会把内部的动态节点收集到一个扁平的 dynamicChildren 数组中
+ * * 更新时只需要对比 dynamicChildren，而不需要递归整棵树。结构可能变化的地方(v-if、v-for)本身也是 Block，会作为动态节点被父级收集
+ */
+// 正在创建的 Block 组成的栈，栈中的元素是收集动态节点的数组
+const blockStack = [];
+// 当前正在收集动态节点的数组，为 null 时不收集
+let currentBlock = null;
+
+/**
+ * @description 开始创建一个 Block，之后创建的动态节点都会被收集到这个 Block 中
+ * * 渲染函数中的写法: (openBlock(), createBlock(type, props, children))
+ * @param {Boolean} disableTracking 是否停止收集，v-for 生成的 Fragment 子节点数量不稳定，只能完整 diff
+ */
+export const openBlock = (disableTracking = false) => {
+    blockStack.push(currentBlock = disableTracking ? null : []);
+};
+
+const closeBlock = () => {
+    blockStack.pop();
+    currentBlock = blockStack[blockStack.length - 1] || null;
+};
+
+/**
+ * @description 创建 Block，参数与 createVNode 一致
+ * * Block 自身也会被父级 Block 收集，结构变化时由它负责回退到完整的 diff
+ */
+export const createBlock = (type, props, children, patchFlag, dynamicProps) => {
+    const vnode = baseCreateVNode(type, props, children, patchFlag, dynamicProps);
+    vnode.dynamicChildren = currentBlock;
+    closeBlock();
+    currentBlock && currentBlock.push(vnode);
+    return vnode;
+};
+
+/**
+ * @description 创建虚拟节点，编译生成的渲染函数通过它创建 vnode
+ * * 结构与手写的 { type, key, props, children } 一致，key 从 props 中提取
+ * * 带有补丁标志的节点和组件会被当前的 Block 收集
+ * @param {String | Symbol | Object} type 节点类型
+ * @param {Object} props 属性
+ * @param {String | Array | Object} children 子节点
+ * @param {Number} patchFlag 补丁标志，见 PatchFlags
+ * @param {Array<String>} dynamicProps 动态属性的名称，配合 PatchFlags.PROPS 使用
+ * @returns {Object} vnode
+ */
+export const createVNode = (type, props = null, children = null, patchFlag = 0, dynamicProps = null) => {
+    const vnode = baseCreateVNode(type, props, children, patchFlag, dynamicProps);
+    const isComponent = typeof type === 'object' || typeof type === 'function';
+    if (currentBlock && (patchFlag > 0 || isComponent)) {
+        currentBlock.push(vnode);
+    }
+    return vnode;
+};
+
+/**
+ * @description 将 vnode 加入当前的 Block，用于收集不是由 createVNode 创建的 vnode，例如手写的插槽内容
+ * * 已经被收集过的 vnode(例如编译生成的 Block)不会重复收集
+ * @param {Object} vnode 虚拟节点
+ */
+export const trackVNode = (vnode) => {
+    if (currentBlock && !currentBlock.includes(vnode)) {
+        currentBlock.push(vnode);
+    }
+    return vnode;
+};
+
+const baseCreateVNode = (type, props = null, children = null, patchFlag = 0, dynamicProps = null) => {
+    let key = null;
+    if (props && 'key' in props) {
+        ({ key, ...props } = props);
+    }
+
+    return {
+        type,
+        key,
+        props,
+        children,
+        el: null,
+        patchFlag,
+        dynamicProps,
+        // 只有 Block 才有 dynamicChildren
+        dynamicChildren: null,
+    };
+};
+
+/**
+ * @description 浅拷贝虚拟节点，拷贝出的节点还未挂载
+ * @param {Object} vnode 虚拟节点
+ */
+export const cloneVNode = (vnode) => ({
+    ...vnode,
+    el: null,
+});
+
+/**
+ * @description 静态提升的节点会在多次渲染、多个组件实例之间共享，挂载前需要拷贝一份，避免 el 被覆盖
+ * * 只有一个静态元素的 Block(例如 v-if 的静态分支)也带有 HOISTED 标志，但它每次渲染都会重新创建，
+ * * 并且已经被父级 Block 收集，拷贝后父级的 dynamicChildren 中的节点将拿不到 el，所以不能拷贝
+ * @param {Object} vnode 虚拟节点
+ */
+export const cloneIfHoisted = (vnode) => {
+    return vnode.patchFlag === PatchFlags.HOISTED && !vnode.dynamicChildren ? cloneVNode(vnode) : vnode;
+};
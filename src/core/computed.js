@@ -1,4 +1,5 @@
 import { effect, track, trigger } from './observer.js';
+import { __isRef } from './ref.js';
 
 // ### lazy + computed
 /**
@@ -6,8 +7,29 @@ import { effect, track, trigger } from './observer.js';
  * * 它接受一个 getter 函数
  * * 我们把 getter 作为副作用函数，创建一个 lazy 的 effect
  * * 当读取 value 时才执行 effectFn
+ * * 也可以接受一个带有 get、set 的对象，创建可写的 computed
+ * * debugOptions 中的 onTrack、onTrigger 会传递给 getter 的副作用函数，用于调试
+ *
+ * const fullName = computed({
+ *     get: () => `${user.first} ${user.last}`,
+ *     set: (value) => [user.first, user.last] = value.split(' '),
+ * });
+ * fullName.value = 'John Doe';
  */
-const computed = (getter) => {
+const computed = (getterOrOptions, debugOptions = {}) => {
+    // 只传入 getter，或者传入的对象中没有 set 时，computed 是只读的
+    const readonlySetter = () => {
+        console.warn('computed 是只读的，无法修改它的值');
+    };
+    let getter, setter;
+    if (typeof getterOrOptions === 'function') {
+        getter = getterOrOptions;
+        setter = readonlySetter;
+    } else {
+        getter = getterOrOptions.get;
+        setter = getterOrOptions.set || readonlySetter;
+    }
+
     // value 用来缓存上一次计算的值
     let value;
 
@@ -17,6 +39,8 @@ const computed = (getter) => {
     // 把 getter 作为副作用函数，创建一个 lazy 的 effect
     const effectFn = effect(getter, {
         lazy: true,
+        onTrack: debugOptions.onTrack,
+        onTrigger: debugOptions.onTrigger,
         // 当 count 改变时，重新计算值
         scheduler: () => {
             if (!dirty) {
@@ -35,9 +59,32 @@ const computed = (getter) => {
             }
             track(computedRunner, 'value');
             return value;
-        }
+        },
+        // 修改 value 时交给 setter 处理，setter 修改了 getter 的依赖后，computed 会被标记为 dirty
+        set value(newValue) {
+            setter(newValue);
+        },
+        // 下面的属性仅用于调试
+        // getter 对应的副作用函数
+        effect: effectFn,
+        // 当前是否需要重新计算
+        get dirty() {
+            return dirty;
+        },
+        // getter 收集到的依赖，每一项为 { target, key }
+        get deps() {
+            return effectFn.deps.map(({ target, key }) => ({ target, key }));
+        },
     };
 
+    // 与 ref 一样添加 __isRef 标识，使 isRef、proxyRefs 以及 reactive 的自动脱 ref 能够识别 computed
+    Object.defineProperty(computedRunner, __isRef, {
+        value: true,
+        enumerable: false,
+        configurable: false,
+        writable: false
+    })
+
     return computedRunner;
 }
 
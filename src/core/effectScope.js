@@ -0,0 +1,130 @@
+import { stop } from './observer.js';
+
+/**
+ * * effectScope 用来收集在其中创建的副作用函数（effect、computed、watch），以便统一停止
+ * * 例如组件卸载时，组件 setup 中创建的 computed、watch 以及组件自身的渲染副作用都需要停止，否则它们仍会响应数据的变化
+ *
+ * const scope = effectScope();
+ * scope.run(() => {
+ *     const doubled = computed(() => counter.value * 2);
+ *     watch(doubled, () => console.log(doubled.value));
+ *     onScopeDispose(() => console.log('scope stopped'));
+ * });
+ * // 停止 scope 中所有的副作用函数，并执行 onScopeDispose 注册的回调
+ * scope.stop();
+ */
+
+// 当前正在运行的 scope，与 activeEffect 类似
+let activeEffectScope = null;
+
+/**
+ * @description 创建一个 effect 作用域
+ * * 在一个 scope 中创建的 scope 会被父级收集，父级停止时一同停止，除非传入 detached
+ * @param {Boolean} detached 是否与父级 scope 分离
+ * @returns {Object} scope
+ */
+const effectScope = (detached = false) => {
+    const scope = {
+        // scope 是否还处于活跃状态，停止后不能再通过 run 运行函数
+        active: true,
+        // 在 scope 中创建的副作用函数
+        effects: [],
+        // 通过 onScopeDispose 注册的回调
+        cleanups: [],
+        // 子级 scope
+        scopes: [],
+        parent: detached ? null : activeEffectScope,
+        // scope 中的 watch 出错时调用，参数为 (err, info)，组件的 scope 会设置它，将错误交给组件的错误处理
+        onError: null,
+        /**
+         * @description 在 scope 中运行函数，函数中创建的副作用函数都会被 scope 收集
+         * @param {Function} fn
+         * @returns fn 的返回值
+         */
+        run(fn) {
+            if (!scope.active) {
+                console.warn('无法在已经停止的 effectScope 中运行');
+                return;
+            }
+            // 与 effectStack 的作用一样，用来处理 scope 嵌套的情况
+            const prevScope = activeEffectScope;
+            activeEffectScope = scope;
+            try {
+                return fn();
+            } finally {
+                activeEffectScope = prevScope;
+            }
+        },
+        /**
+         * @description 停止 scope 中所有的副作用函数，并执行 onScopeDispose 注册的回调
+         * @param {Boolean} fromParent 是否由父级 scope 停止，此时父级会整体清空 scopes，无需逐个移除
+         */
+        stop(fromParent = false) {
+            if (!scope.active) return;
+            scope.effects.forEach(stop);
+            scope.cleanups.forEach(cleanup => cleanup());
+            scope.scopes.forEach(child => child.stop(true));
+
+            // 从父级 scope 中移除自身，避免父级一直持有已经停止的 scope
+            if (scope.parent && !fromParent) {
+                const index = scope.parent.scopes.indexOf(scope);
+                index > -1 && scope.parent.scopes.splice(index, 1);
+            }
+
+            scope.effects.length = 0;
+            scope.cleanups.length = 0;
+            scope.scopes.length = 0;
+            scope.parent = null;
+            scope.active = false;
+        },
+    };
+
+    scope.parent && scope.parent.scopes.push(scope);
+
+    return scope;
+};
+
+/**
+ * @description 将副作用函数记录到当前 scope 中，effect 创建副作用函数时调用
+ * @param {Function} effectFn 副作用函数
+ */
+export const recordEffectScope = (effectFn, scope = activeEffectScope) => {
+    if (scope && scope.active) {
+        scope.effects.push(effectFn);
+    }
+};
+
+/**
+ * @description 将错误交给 scope 处理，沿着父级 scope 查找 onError，都没有时直接抛出
+ * @param {Object} scope 出错的副作用函数所在的 scope
+ * @param {Error} err 错误
+ * @param {String} info 出错的阶段
+ */
+export const handleScopeError = (scope, err, info) => {
+    for (let current = scope; current; current = current.parent) {
+        if (current.onError) {
+            current.onError(err, info);
+            return;
+        }
+    }
+    throw err;
+};
+
+/**
+ * @description 获取当前正在运行的 scope
+ */
+export const getCurrentScope = () => activeEffectScope;
+
+/**
+ * @description 注册一个回调，在当前 scope 停止时执行
+ * @param {Function} fn
+ */
+export const onScopeDispose = (fn) => {
+    if (activeEffectScope) {
+        activeEffectScope.cleanups.push(fn);
+    } else {
+        console.warn('onScopeDispose 只能在 effectScope 中调用');
+    }
+};
+
+export default effectScope;
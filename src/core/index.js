@@ -1,15 +1,62 @@
-import ref, { isRef, toRef, toRefs, proxyRefs } from './ref.js';
+import ref, {
+    isRef,
+    shallowRef,
+    triggerRef,
+    customRef,
+    unref,
+    toValue,
+    toRef,
+    toRefs,
+    proxyRefs,
+} from './ref.js';
 
-import { reactive, readonly, shallowReactive, effect } from './observer.js';
+import {
+    reactive,
+    readonly,
+    shallowReactive,
+    shallowReadonly,
+    effect,
+    stop,
+    toRaw,
+    markRaw,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy,
+} from './observer.js';
+import computed from './computed.js';
+import watch, { watchEffect } from './watch.js';
+import { nextTick } from './scheduler.js';
+import effectScope, { getCurrentScope, onScopeDispose } from './effectScope.js';
 
 export {
     ref,
     isRef,
+    shallowRef,
+    triggerRef,
+    customRef,
+    unref,
+    toValue,
     toRef,
     toRefs,
     reactive,
     readonly,
     shallowReactive,
+    shallowReadonly,
+    toRaw,
+    markRaw,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy,
     effect,
+    stop,
+    computed,
+    watch,
+    watchEffect,
     proxyRefs,
+    nextTick,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
 }
\ No newline at end of file
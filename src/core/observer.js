@@ -1,4 +1,5 @@
 import { isRef, __isRef } from "./ref.js";
+import { recordEffectScope } from "./effectScope.js";
 // 使用简单的 Set, 会导致，每次修改都会触发所有的 effect
 // const bucket = new Set();
 // 所以我们重新设计 bucket
@@ -8,245 +9,384 @@ let activeEffect = null;
 
 // 是否可以被追踪 或 收集依赖
 let shouldTrack = true;
+// 暂停依赖收集前的 shouldTrack，用来支持 pauseTracking 的嵌套调用
+const trackStack = [];
 
 // 为了解决 effect 嵌套的问题，我们需要一个栈来存储 activeEffect
 const effectStack = [];
 
+// 批量触发的嵌套深度，大于 0 时 trigger 只收集副作用函数，等到最外层的批量结束后统一执行
+let batchDepth = 0;
+// 批量期间被触发的副作用函数 => 第一次触发它的事件，Map 保证每个副作用函数只执行一次，并按照触发的顺序执行
+const batchedEffects = new Map();
+
 // 针对 for in 循环 或 Set.size 或 Map 的 forEach 收集依赖的特殊 key, 最正确的是 调用 reactive 赋值一个新的 Symbol, 不是一个固定的值
 const ITERATE_KEY = Symbol();
 
 // 一个可以获取代理对象的原始对象的 Symbol key
 const RAW = Symbol.for('RAW');
 
+// 用来判断代理对象类型的 Symbol key，由 get 拦截器返回对应的值
+const IS_REACTIVE = Symbol.for('IS_REACTIVE');
+const IS_READONLY = Symbol.for('IS_READONLY');
+const IS_SHALLOW = Symbol.for('IS_SHALLOW');
+
+// 被 markRaw 标记的对象，会带有这个 Symbol key，永远不会被代理
+const SKIP = Symbol.for('SKIP');
+
+// 可以被代理的数据类型，其余类型（例如 Date、RegExp、DOM 元素）直接返回原始对象
+const PROXYABLE_TYPES = ['Object', 'Array', 'Map', 'Set', 'WeakMap', 'WeakSet'];
+
 // 一个用来收集 Map.keys 方法的特殊 key
 const MAP_KEY_ITERATE_KEY = Symbol.for('MAP_KEY_ITERATE_KEY');
 
-// 定义一个 Map 实例，存储原始对象到代理对象的映射
-const reactiveMap = new Map();
+// 存储原始对象到代理对象的映射，四种代理分别缓存，避免 readonly(obj) 拿到 reactive(obj) 创建的可变代理
+// 使用 WeakMap，原始对象不再被引用时，它与代理对象都可以被垃圾回收
+const reactiveMap = new WeakMap();
+const shallowReactiveMap = new WeakMap();
+const readonlyMap = new WeakMap();
+const shallowReadonlyMap = new WeakMap();
 
-// 重写 Array.prototype.includes 方法
-const arrayInstrumentations = {};
-const originMethod = Array.prototype.includes;
-arrayInstrumentations.includes = function (...args) {
-    // 当前 includes 的 this 指向的是代理对象
-    let res = originMethod.apply(this, args);
+// 遍历数组时收集的特殊 key，数组的任意元素或 length 发生变化时都会触发
+const ARRAY_ITERATE_KEY = Symbol.for('ARRAY_ITERATE_KEY');
 
-    // 如果 res 为 false，说明代理对象中不包含目标值
-    if (res === false) {
-        // 我们需要拿到原始值，然后再进行判断
-        res = originMethod.apply(this[RAW], args);
-    }
-    return res;
-}
-// 于此类似的还有 indexOf, lastIndexOf, findIndex, find
-const arrayMethods = ['indexOf', 'lastIndexOf', 'findIndex', 'find'];
-arrayMethods.forEach(method => {
-    const originMethod = Array.prototype[method];
-    arrayInstrumentations[method] = function (...args) {
-        let res = originMethod.apply(this, args);
-
-        if (res === -1 || res === undefined) {
-            res = originMethod.apply(this.raw, args);
-        }
+// 判断 key 是否为数组的索引，例如 '0'、'10'
+const isIntegerKey = (key) => typeof key === 'string' && key !== 'NaN' && key[0] !== '-' && String(parseInt(key, 10)) === key;
 
-        return res;
-    }
-});
-
-// 为了避免 push 操作导致的无限递归导致的栈溢出, 需重写 push 之类的方法
-const arrayMutatorMethods = ['push', 'pop', 'shift', 'unshift', 'splice'];
-arrayMutatorMethods.forEach(method => {
-    const originMethod = Array.prototype[method];
-    arrayInstrumentations[method] = function (...args) {
-        // 关闭依赖收集
-        shouldTrack = false;
-        const res = originMethod.apply(this, args);
-        // 在调用原始方法之后，恢复原来的行为，即允许追踪
-        shouldTrack = true;
-        return res;
+/**
+ * @description 创建 wrap 函数，用来把可代理的值转换为响应式数据
+ * * 浅响应时不包装，只读时使用 readonly 包装
+ */
+const createWrap = (isShallow, isReadonly) => (value) => {
+    // 数组与集合中的 ref 不会脱 ref，也不需要再包装
+    if (isShallow || typeof value !== 'object' || value === null || isRef(value)) {
+        return value;
     }
-});
+    return isReadonly ? readonly(value) : reactive(value);
+};
 
-// 重写 Set 一些方法实现响应式
-const SetMutableInstrumentations = {
-    add(key) {
-        // this 仍然指向的是代理对象，通过 raw 属性获取原始数据对象
-        const target = this[RAW];
-        // 先判断值是否已经存在
-        const hadKey = target.has(key)
-        // 通过原始数据对象执行 add 方法添加具体的值
-        // 注意，这里不再需要 .bind 了，因为是直接通过 target 调用并执行的
-        const res = target.add(key);
-        // 触发依赖
-        !hadKey && trigger(target, key, 'ADD');
-        return res;
-    },
-    delete(key) {
-        const target = this[RAW];
-        const hadKey = target.has(key);
-        const res = target.delete(key);
-        // 触发依赖
-        hadKey && trigger(target, key, 'DELETE');
-        return res;
-    },
-}
+// ### 数组的代理
+/**
+ * * 遍历方法（forEach、map、filter 等）如果直接在代理对象上执行，每读取一个索引都会收集一次依赖
+ * * 所以我们在原始数组上执行这些方法，只收集一次 ARRAY_ITERATE_KEY，任意元素或 length 变化时再触发
+ * * 由于绕过了代理对象，回调函数接收到的元素需要手动包装，第三个参数也应该是代理对象
+ * * 与集合类型一样，包装方式与 isShallow、isReadonly 有关，所以分别创建一组方法
+ * @param {Boolean} isShallow 是否浅响应
+ * @param {Boolean} isReadonly 是否只读，只读时不收集依赖
+ */
+const createArrayInstrumentations = (isShallow, isReadonly) => {
+    const wrap = createWrap(isShallow, isReadonly);
+    const instrumentations = {};
+
+    // 收集 ARRAY_ITERATE_KEY 并返回原始数组
+    const iterate = (proxy) => {
+        const target = proxy[RAW];
+        !isReadonly && track(target, ARRAY_ITERATE_KEY, trackOpTypes.ITERATE);
+        return target;
+    };
+
+    // 针对 代理数组.includes(原始值) 为 false 的问题，查找时使用原始数组
+    // 参数也可能是代理对象，使用原始参数找不到时，再使用它的原始数据查找
+    ['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+        const originMethod = Array.prototype[method];
+        instrumentations[method] = function (...args) {
+            const target = iterate(this);
+            const res = originMethod.apply(target, args);
+            if (res === false || res === -1) {
+                return originMethod.apply(target, [toRaw(args[0]), ...args.slice(1)]);
+            }
+            return res;
+        };
+    });
 
-// 重写 Map 一些方法实现响应式
-const MapMutableInstrumentations = {
-    get(key) {
-        const target = this[RAW];
-        const had = target.has(key);
-        track(target, key);
-        if (had) {
-            const res = target.get(key);
-            // 需要注意的是，返回的res仍可能是一个可代理对象
-            return typeof res === 'object' ? reactive(res) : res;
-        }
-    },
-    set(key, value) {
-        const target = this[RAW];
-        const had = target.has(key);
-        const oldValue = target.get(key);
-        // 避免污染原始数据对象, value 也可能是一个代理对象, 这意味着 我们可能对原始值上 set 了一个响应式对象
-        //! 我们把响应式数据设置到原始数据上的行为称为数据污染
-        // 获取原始数据，由于 value 本身可能已经是原始数据，所以此时 value.raw 不存在，则直接使用 value
-        const rawValue = value[RAW] || value;
-        const res = target.set(key, rawValue);
-        if (!had) {
-            trigger(target, key, 'ADD');
-        } else if (value !== oldValue || (value === value && oldValue === oldValue)) {
-            trigger(target, key, 'SET');
-        }
-        return res;
-    },
-    /**
-     * 遍历操作只与键值对的数量有关，因此任何会修改 Map 对象键值
-     * 对数量的操作都应该触发副作用函数重新执行，例如 delete 和 add
-     * 方法等。所以当 forEach 函数被调用时，我们应该让副作用函数与 ITERATE_KEY 建立响应联系
-     */
-    forEach(callback, thisArg) {
-        // wrap 函数用来把可代理的值转换为响应式数据
-        const wrap = (value) => typeof value === 'object' ? reactive(value) : value;
+    // 遍历方法，回调函数的参数为 (item, index, array)
+    ['forEach', 'map', 'filter', 'flatMap', 'some', 'every', 'find', 'findIndex', 'findLast', 'findLastIndex'].forEach(method => {
+        const originMethod = Array.prototype[method];
+        instrumentations[method] = function (callback, thisArg) {
+            const target = iterate(this);
+            const res = originMethod.call(target, (item, index) => callback.call(thisArg, wrap(item), index, this));
+            // filter、find、findLast 返回的是原始数组中的元素，同样需要包装
+            if (method === 'filter') {
+                return res.map(wrap);
+            }
+            return method === 'find' || method === 'findLast' ? wrap(res) : res;
+        };
+    });
 
-        const target = this[RAW];
-        // 通过 track 函数建立与 ITERATE_KEY 的响应联系
-        track(target, ITERATE_KEY);
-        target.forEach((v, k) => {
-            // 通过 wrap 函数将值转换为响应式数据
-            callback.call(thisArg, wrap(v), wrap(k), this);
-        });
-    },
-    // 重写 [Symbol.iterator] 方法，并且 entries 与其等价
-    [Symbol.iterator]: iterationMethod,
-    entries: iterationMethod,
-    values() {
-        const target = this[RAW];
-        const iterator = target.values();
-        const wrap = (val) => typeof val === 'object' && val !== null ? reactive(val) : val;
-        track(target, ITERATE_KEY);
-        return {
-            next() {
-                const { value, done } = iterator.next();
-                // value 是值，而非键值对，所以只需要包裹 value 即可
-                return {
-                    value: wrap(value),
-                    done
+    // reduce 的回调函数多了一个累加值参数
+    ['reduce', 'reduceRight'].forEach(method => {
+        const originMethod = Array.prototype[method];
+        instrumentations[method] = function (callback, ...initialValue) {
+            const target = iterate(this);
+            return originMethod.call(target, (acc, item, index) => callback(acc, wrap(item), index, this), ...initialValue);
+        };
+    });
+
+    instrumentations.join = function (separator) {
+        return iterate(this).join(separator);
+    };
+
+    // for...of、扩展运算符以及 Array.from 都会调用 [Symbol.iterator]
+    ['values', 'entries', Symbol.iterator].forEach(method => {
+        instrumentations[method] = function () {
+            const iterator = iterate(this)[method]();
+            return {
+                next() {
+                    const { value, done } = iterator.next();
+                    return {
+                        value: done ? value : method === 'entries' ? [value[0], wrap(value[1])] : wrap(value),
+                        done
+                    }
+                },
+                [Symbol.iterator]() {
+                    return this;
                 }
-            },
-            return() {
-                return iterator.return();
-            },
-            throw(e) {
-                return iterator.throw(e);
-            },
-            [Symbol.iterator]() {
-                return this;
             }
-        }
-    },
-    keys() {
+        };
+    });
+
+    // 为了避免 push 操作导致的无限递归导致的栈溢出, 需重写 push 之类的方法
+    // sort、reverse、fill、copyWithin 同样会读取并修改数组，修改时通过代理对象的 set 拦截触发依赖
+    // 这些方法会逐个修改多个索引，批量触发保证依赖它们的副作用函数只在方法执行完毕后执行一次，不会读取到修改了一半的数组
+    ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'].forEach(method => {
+        const originMethod = Array.prototype[method];
+        instrumentations[method] = function (...args) {
+            // 关闭依赖收集，这些方法可能在其他方法的执行过程中被调用，所以需要恢复为之前的状态
+            const prevShouldTrack = shouldTrack;
+            shouldTrack = false;
+            startBatch();
+            try {
+                return originMethod.apply(this, args);
+            } finally {
+                // 在调用原始方法之后，恢复原来的行为
+                shouldTrack = prevShouldTrack;
+                endBatch();
+            }
+        };
+    });
+
+    return instrumentations;
+};
+
+const mutableArrayInstrumentations = createArrayInstrumentations(false, false);
+const shallowArrayInstrumentations = createArrayInstrumentations(true, false);
+const readonlyArrayInstrumentations = createArrayInstrumentations(false, true);
+const shallowReadonlyArrayInstrumentations = createArrayInstrumentations(true, true);
+
+const getArrayInstrumentations = (isShallow, isReadonly) => {
+    if (isReadonly) {
+        return isShallow ? shallowReadonlyArrayInstrumentations : readonlyArrayInstrumentations;
+    }
+    return isShallow ? shallowArrayInstrumentations : mutableArrayInstrumentations;
+};
+
+// ### 集合类型的代理
+/**
+ * * Map、Set、WeakMap、WeakSet 的数据存储在内部槽中，代理对象无法直接调用它们的原型方法
+ * * 所以我们重写这些方法，在方法内部通过 this[RAW] 拿到原始数据对象，再进行依赖收集与派发更新
+ * * 浅响应与只读会影响返回值的包装方式，以及是否允许修改，因此按照 isShallow、isReadonly 分别创建一组方法
+ */
+const COLLECTION_TYPES = ['[object Map]', '[object Set]', '[object WeakMap]', '[object WeakSet]'];
+
+const isCollection = (target) => COLLECTION_TYPES.includes(Object.prototype.toString.call(target));
+
+/**
+ * @description 创建集合类型的重写方法
+ * @param {Boolean} isShallow 是否浅响应，浅响应时读取到的值不会被包装
+ * @param {Boolean} isReadonly 是否只读，只读时不收集依赖，并且所有修改操作都会被拒绝
+ */
+const createCollectionInstrumentations = (isShallow, isReadonly) => {
+    const wrap = createWrap(isShallow, isReadonly);
+
+    const collect = (target, key, type) => {
+        !isReadonly && track(target, key, type);
+    };
+
+    // 只读集合的修改方法，只给出警告，返回值与原生方法一致: delete 返回 false，clear 返回 undefined，add、set 返回集合本身
+    const readonlyMethod = (type) => function (key) {
+        console.warn(`集合是只读的，无法执行 ${type} 操作`, key);
+        if (type === 'delete') return false;
+        if (type === 'clear') return undefined;
+        return this;
+    };
+
+    // 重写 Map.prototype.entries、 [Symbol.iterator] 等迭代方法，抽离为独立的函数，便于复用
+    const createIterationMethod = (method) => function () {
         const target = this[RAW];
-        const iterator = target.keys();
-        const wrap = (val) => typeof val === 'object' && val !== null ? reactive(val) : val;
-        track(target, MAP_KEY_ITERATE_KEY);
+        const isMap = Object.prototype.toString.call(target) === '[object Map]';
+        // Map 的 entries 与 [Symbol.iterator] 以及 Set 的 entries 都会产出键值对
+        const isPair = method === 'entries' || (method === Symbol.iterator && isMap);
+        // Map 的 keys 只与键有关，修改值时无需触发，所以收集 MAP_KEY_ITERATE_KEY
+        const isKeyOnly = method === 'keys' && isMap;
+        const iterator = target[method]();
+        collect(target, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY, trackOpTypes.ITERATE);
         return {
             next() {
                 const { value, done } = iterator.next();
                 return {
-                    value: wrap(value),
+                    value: done ? value : isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
                     done
                 }
             },
-            return() {
-                return iterator.return();
-            },
-            throw(e) {
-                return iterator.throw(e);
-            },
+            /**
+             * TypeError: p.entries is not a function or its return value is not iterable
+             * 切勿把可迭代协议与迭代器协议搞混。可迭代协议指的是一个对象实现了 Symbol.iterator 方法, 迭代器协议指的是一个对象实现了 next 方法。
+             * 但一个对象可以同时实现可迭代协议和迭代器协议
+             */
             [Symbol.iterator]() {
                 return this;
             }
         }
+    };
+
+    const instrumentations = {
+        get(key) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            collect(target, rawKey);
+            // 需要注意的是，返回的值仍可能是一个可代理对象
+            return wrap(target.has(key) ? target.get(key) : target.get(rawKey));
+        },
+        has(key) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            collect(target, rawKey, trackOpTypes.HAS);
+            return target.has(key) || target.has(rawKey);
+        },
+        /**
+         * 遍历操作只与键值对的数量有关，因此任何会修改 Map 对象键值
+         * 对数量的操作都应该触发副作用函数重新执行，例如 delete 和 add
+         * 方法等。所以当 forEach 函数被调用时，我们应该让副作用函数与 ITERATE_KEY 建立响应联系
+         */
+        forEach(callback, thisArg) {
+            const target = this[RAW];
+            collect(target, ITERATE_KEY, trackOpTypes.ITERATE);
+            target.forEach((v, k) => {
+                // 通过 wrap 函数将值转换为响应式数据，第三个参数为代理对象而不是原始数据对象
+                callback.call(thisArg, wrap(v), wrap(k), this);
+            });
+        },
+        keys: createIterationMethod('keys'),
+        values: createIterationMethod('values'),
+        entries: createIterationMethod('entries'),
+        [Symbol.iterator]: createIterationMethod(Symbol.iterator),
+    };
+
+    if (isReadonly) {
+        ['add', 'set', 'delete', 'clear'].forEach(type => {
+            instrumentations[type] = readonlyMethod(type);
+        });
+        return instrumentations;
     }
-};
 
-// 重写 Map.prototype.entries、 [Symbol.iterator] 方法 抽离为独立的函数，便于复用
-function iterationMethod() {
-    const target = this[RAW];
-    const iterator = target[Symbol.iterator]();
-    const wrap = (val) => typeof val === 'object' && val !== null ? reactive(val) : val;
-    track(target, ITERATE_KEY);
-    return {
-        next() {
-            const { value, done } = iterator.next();
-            return {
-                value: value ? [wrap(value[0]), wrap(value[1])] : value,
-                done
+    // 修改操作，与只读无关，浅响应与深响应的修改逻辑相同
+    Object.assign(instrumentations, {
+        add(value) {
+            // this 仍然指向的是代理对象，通过 raw 属性获取原始数据对象
+            const target = this[RAW];
+            // 避免数据污染，存储原始数据
+            const rawValue = isShallow ? value : toRaw(value);
+            // 先判断值是否已经存在
+            const hadKey = target.has(rawValue);
+            // 通过原始数据对象执行 add 方法添加具体的值
+            // 注意，这里不再需要 .bind 了，因为是直接通过 target 调用并执行的
+            target.add(rawValue);
+            // 触发依赖
+            !hadKey && trigger(target, rawValue, 'ADD', rawValue);
+            return this;
+        },
+        set(key, value) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            const had = target.has(rawKey);
+            const oldValue = target.get(rawKey);
+            // 避免污染原始数据, value 也可能是一个代理对象, 这意味着 我们可能对原始值上 set 了一个响应式对象
+            //! 我们把响应式数据设置到原始数据上的行为称为数据污染
+            // 获取原始数据，由于 value 本身可能已经是原始数据，所以此时 value.raw 不存在，则直接使用 value
+            const rawValue = isShallow ? value : toRaw(value);
+            target.set(rawKey, rawValue);
+            if (!had) {
+                trigger(target, rawKey, 'ADD', rawValue);
+            } else if (rawValue !== oldValue && (rawValue === rawValue || oldValue === oldValue)) {
+                trigger(target, rawKey, 'SET', rawValue, oldValue);
             }
+            return this;
         },
-        return() {
-            return iterator.return();
+        delete(key) {
+            const target = this[RAW];
+            const rawKey = toRaw(key);
+            const hadKey = target.has(rawKey);
+            const oldValue = target.get ? target.get(rawKey) : undefined;
+            const res = target.delete(rawKey);
+            // 触发依赖
+            hadKey && trigger(target, rawKey, 'DELETE', undefined, oldValue);
+            return res;
         },
-        throw(e) {
-            return iterator.throw(e);
+        clear() {
+            const target = this[RAW];
+            const hadItems = target.size !== 0;
+            const res = target.clear();
+            // 清空集合会影响所有的键以及遍历操作
+            hadItems && trigger(target, undefined, 'CLEAR');
+            return res;
         },
-        /**
-         * TypeError: p.entries is not a function or its return value is not iterable
-         * 切勿把可迭代协议与迭代器协议搞混。可迭代协议指的是一个对象实现了 Symbol.iterator 方法, 迭代器协议指的是一个对象实现了 next 方法。
-         * 但一个对象可以同时实现可迭代协议和迭代器协议
-         */
-        [Symbol.iterator]() {
-            return this;
-        }
+    });
+
+    return instrumentations;
+};
+
+const mutableInstrumentations = createCollectionInstrumentations(false, false);
+const shallowInstrumentations = createCollectionInstrumentations(true, false);
+const readonlyInstrumentations = createCollectionInstrumentations(false, true);
+const shallowReadonlyInstrumentations = createCollectionInstrumentations(true, true);
+
+const getCollectionInstrumentations = (isShallow, isReadonly) => {
+    if (isReadonly) {
+        return isShallow ? shallowReadonlyInstrumentations : readonlyInstrumentations;
     }
-}
+    return isShallow ? shallowInstrumentations : mutableInstrumentations;
+};
 
 /**
  * * 我们希望 effect 可以接受一个函数作为参数
  * ! 我们希望可以接受一个可选项，来控制调度行为， 或其他行为
+ * * options.onStop 会在副作用函数被 stop 时调用
+ * * options.onTrack、options.onTrigger 为调试钩子，分别在收集依赖、派发更新时调用，参数为 { effect, target, type, key, newValue, oldValue }
  */
 const effect = (fn, options = {}) => {
     const effectFn = () => {
+        // 已经停止的副作用函数只执行 fn，不再收集依赖
+        if (!effectFn.active) {
+            return fn();
+        }
         // 实现相同依赖清除工作
         cleanUp(effectFn);
         activeEffect = effectFn;
         // activeEffect 无法满足 effect 嵌套的情况
         effectStack.push(effectFn);
 
-        // fn();
-        // 将 fn 的执行结果存储到 res 中
-        const res = fn() // 新增
-
-        // 从栈中移除当前的 effect
-        effectStack.pop();
+        // 副作用函数可能在 push 等方法关闭依赖收集期间被触发执行，执行时需要重新开启依赖收集
+        const prevShouldTrack = shouldTrack;
+        shouldTrack = true;
 
-        activeEffect = effectStack[effectStack.length - 1];
+        try {
+            // 将 fn 的执行结果返回
+            return fn();
+        } finally {
+            // 从栈中移除当前的 effect，即使 fn 抛出错误也需要恢复，否则后续的依赖会被收集到错误的 effect 中
+            effectStack.pop();
 
-        return res;
+            activeEffect = effectStack[effectStack.length - 1];
+            shouldTrack = prevShouldTrack;
+        }
     }
     effectFn.options = options;
     // 用来存储所有与该副作用函数相关的依赖集合
     effectFn.deps = [];
+    effectFn.active = true;
+
+    // 在 effectScope 中创建的副作用函数，会被 scope 收集，随 scope 一同停止
+    recordEffectScope(effectFn);
 
     // 只有非 lazy 的时候，才执行
     if (!options.lazy) {
@@ -259,8 +399,9 @@ const effect = (fn, options = {}) => {
 
 /**
  * * 我们希望当我们读取了某个属性时，可以收集到与该属性相关的副作用函数 -> 收集依赖
+ * * type 为读取操作的类型，与 options.onTrack 一起用于调试
  */
-const track = (target, key) => {
+const track = (target, key, type = trackOpTypes.GET) => {
     if (!activeEffect || !shouldTrack) {
         return;
     }
@@ -272,19 +413,52 @@ const track = (target, key) => {
     let deps = depsMap.get(key);
     if (!deps) {
         deps = new Set();
+        // 记录依赖集合对应的 target 与 key，便于调试时查看副作用函数依赖了哪些数据
+        deps.target = target;
+        deps.key = key;
         depsMap.set(key, deps);
     }
+    // 同一次执行中多次读取同一个属性，只需要收集一次
+    if (deps.has(activeEffect)) {
+        return;
+    }
     deps.add(activeEffect);
 
     activeEffect.deps.push(deps);
+
+    // 调试钩子，告诉用户副作用函数收集了哪个依赖
+    activeEffect.options.onTrack && activeEffect.options.onTrack({
+        effect: activeEffect,
+        target,
+        type,
+        key,
+    });
+};
+
+/**
+ * @description 暂停依赖收集，需要与 resetTracking 成对调用
+ * * 例如在副作用函数中调用用户提供的钩子时，钩子中读取的数据不应该成为副作用函数的依赖
+ */
+const pauseTracking = () => {
+    trackStack.push(shouldTrack);
+    shouldTrack = false;
+};
+
+/**
+ * @description 恢复到调用 pauseTracking 之前的状态
+ */
+const resetTracking = () => {
+    const last = trackStack.pop();
+    shouldTrack = last === undefined ? true : last;
 };
 
 /**
  * * 我们希望当我们修改了某个属性时，可以触发所有与该属性相关的副作用函数 -> 派发更新
  * ! 有了 options 后，我们需要根据 options 来决定是否调度
+ * * newValue、oldValue 会传递给 options.onTrigger，用于调试
  */
 
-const trigger = (target, key, type, newValue) => {
+const trigger = (target, key, type, newValue, oldValue) => {
     const depsMap = bucket.get(target);
     if (!depsMap) return;
     const effects = depsMap.get(key);
@@ -350,7 +524,7 @@ const trigger = (target, key, type, newValue) => {
         // 对于索引大于或等于新的 length 值的元素
         // 需要把所有相关联的副作用函数取出并添加到 effectsToRun 中待执行
         depsMap.forEach((effects, key) => {
-            if (key >= newValue) {
+            if (isIntegerKey(key) && Number(key) >= newValue) {
                 effects.forEach(effect => {
                     effect !== activeEffect && effectsRunAll.add(effect)
                 })
@@ -358,22 +532,87 @@ const trigger = (target, key, type, newValue) => {
         });
     }
 
+    // ! 数组的任意索引或 length 发生变化，都需要触发遍历过数组的副作用函数
+    if (Array.isArray(target) && (isIntegerKey(key) || key === 'length')) {
+        const iterateEffects = depsMap.get(ARRAY_ITERATE_KEY);
+        iterateEffects && iterateEffects.forEach(effect => {
+            effect !== activeEffect && effectsRunAll.add(effect);
+        });
+    }
+
+    // 清空集合时，与该集合相关的所有副作用函数都需要重新执行
+    if (operateTypes[type] === 'CLEAR') {
+        depsMap.forEach(effects => {
+            effects.forEach(effect => {
+                effect !== activeEffect && effectsRunAll.add(effect);
+            });
+        });
+    }
+
     // 调度
     effectsRunAll.forEach(effect => {
-        if (effect.options.scheduler) {
-            effect.options.scheduler(effect);
+        const event = { effect, target, type, key, newValue, oldValue };
+        if (batchDepth > 0) {
+            // 批量期间只记录第一次触发的事件，批量结束后再执行
+            batchedEffects.has(effect) || batchedEffects.set(effect, event);
         } else {
-            effect();
+            runTriggeredEffect(effect, event);
         }
     });
 };
+
+/**
+ * @description 执行被触发的副作用函数，有调度器时交给调度器
+ * @param {Function} effect 副作用函数
+ * @param {Object} event 触发事件 { effect, target, type, key, newValue, oldValue }
+ */
+const runTriggeredEffect = (effect, event) => {
+    // 在本次 trigger 过程中被停止的副作用函数（例如前一个副作用函数卸载了组件）不再执行
+    if (!effect.active) {
+        return;
+    }
+    // 调试钩子，告诉用户是哪一次修改触发了副作用函数
+    effect.options.onTrigger && effect.options.onTrigger(event);
+    if (effect.options.scheduler) {
+        effect.options.scheduler(effect);
+    } else {
+        effect();
+    }
+};
+
+/**
+ * @description 开始批量触发，需要与 endBatch 成对调用
+ */
+const startBatch = () => {
+    batchDepth++;
+};
+
+/**
+ * @description 结束批量触发，最外层的批量结束时，依次执行期间被触发的副作用函数
+ */
+const endBatch = () => {
+    if (--batchDepth > 0) return;
+    const effects = [...batchedEffects];
+    batchedEffects.clear();
+    effects.forEach(([effect, event]) => runTriggeredEffect(effect, event));
+};
 /**
  * * trigger 的操作类型
  */
 const operateTypes = {
     ADD: 'ADD',
     SET: 'SET',
-    DELETE: 'DELETE'
+    DELETE: 'DELETE',
+    CLEAR: 'CLEAR'
+}
+
+/**
+ * * track 的操作类型
+ */
+const trackOpTypes = {
+    GET: 'GET',
+    HAS: 'HAS',
+    ITERATE: 'ITERATE'
 }
 
 const cleanUp = (effect) => {
@@ -383,6 +622,27 @@ const cleanUp = (effect) => {
     effect.deps.length = 0;
 };
 
+/**
+ * @description 停止副作用函数，将它从所有的依赖集合中移除并标记为不活跃，之后数据变化不会再触发它
+ * * 停止后仍然可以手动调用 runner，此时只会执行 fn，不会收集依赖
+ * * 如果创建时传入了 onStop 选项，会在停止时调用
+ * @param {Function} runner effect 返回的副作用函数
+ *
+ * @example
+ * const runner = effect(() => console.log(obj.foo), {
+ *     onStop: () => console.log('stopped'),
+ * });
+ * stop(runner); // stopped
+ * obj.foo++; // 不再打印
+ */
+const stop = (runner) => {
+    if (runner.active) {
+        cleanUp(runner);
+        runner.active = false;
+        runner.options.onStop && runner.options.onStop();
+    }
+};
+
 
 // ### 死循环优化
 /**
@@ -406,48 +666,44 @@ const cleanUp = (effect) => {
  * 
  * ? Set 代理
  * ? Map 代理
- * * 都是通过重写部分原型方法来实现的
+ * * 都是通过重写部分原型方法来实现的，WeakSet、WeakMap 同理
  */
 export default function createReactive(obj, isShallow = false, isReadonly = false) {
+    if (!canProxy(obj)) {
+        return obj;
+    }
     return new Proxy(obj, {
         get(target, key, receiver) {
             // 我们在 get 拦截器赋予一个功能 -> 当代理对象读取 raw 属性时，返回原始对象
             if (key === RAW) return target;
-
-            // 针对 Set 的代理
-            if (key === 'size') {
-                track(target, ITERATE_KEY)
-                return Reflect.get(target, key, target);
-            }
-
-            // 针对的 Set 代理
-            if (
-                Object.prototype.toString.call(target) === '[object Set]'
-            ) {
-                // 如果是 Set 的 add, clear, delete, has 方法，则返回 SetMutableInstrumentations[key]
-                if (SetMutableInstrumentations.hasOwnProperty(key)) {
-                    return Reflect.get(SetMutableInstrumentations, key, receiver);
+            // 读取代理对象的类型
+            if (key === IS_REACTIVE) return !isReadonly;
+            if (key === IS_READONLY) return isReadonly;
+            if (key === IS_SHALLOW) return isShallow;
+
+            // 针对 Map、Set、WeakMap、WeakSet 的代理
+            if (isCollection(target)) {
+                // size 是一个访问器属性，它的 this 必须是原始数据对象
+                if (key === 'size') {
+                    !isReadonly && track(target, ITERATE_KEY, trackOpTypes.ITERATE);
+                    return Reflect.get(target, key, target);
                 }
-                return target[key].bind(target);
-            }
-
-            // 针对 Map 的代理
-            if (
-                Object.prototype.toString.call(target) === '[object Map]'
-            ) {
-                if (MapMutableInstrumentations.hasOwnProperty(key)) {
-                    return Reflect.get(MapMutableInstrumentations, key, receiver);
+                // 如果是被重写的方法，并且集合自身具有该方法，则返回重写后的方法，例如 WeakMap 没有 forEach
+                const instrumentations = getCollectionInstrumentations(isShallow, isReadonly);
+                if (instrumentations.hasOwnProperty(key) && key in target) {
+                    return Reflect.get(instrumentations, key, receiver);
                 }
-                return target[key].bind(target);
+                const value = Reflect.get(target, key, target);
+                return typeof value === 'function' ? value.bind(target) : value;
             }
 
             // 针对 代理数组.includes(原始值) 为 false 的问题
-            // 如果操作的目标对象是数组，并且 key 存在于 arrayInstrumentations 中，则返回 arrayInstrumentations[key]
-            if (
-                Array.isArray(target)
-                && arrayInstrumentations.hasOwnProperty(key)
-            ) {
-                return Reflect.get(arrayInstrumentations, key, receiver)
+            // 如果操作的目标对象是数组，并且 key 是被重写的数组方法，则返回重写后的方法
+            if (Array.isArray(target)) {
+                const instrumentations = getArrayInstrumentations(isShallow, isReadonly);
+                if (instrumentations.hasOwnProperty(key)) {
+                    return Reflect.get(instrumentations, key, receiver);
+                }
             }
 
             // 只有在非只读的情况下，才会进行依赖收集
@@ -455,16 +711,24 @@ export default function createReactive(obj, isShallow = false, isReadonly = fals
             !isReadonly && typeof key !== 'symbol' && typeof key !== __isRef && track(target, key);
 
             const res = Reflect.get(target, key, receiver);
+            // 浅响应只代理第一层，值原样返回，其中的 ref 也不会脱 ref
+            if (isShallow) {
+                return res;
+            }
+            // ref 与 computed 自动脱 ref，需要在递归代理之前判断，否则它们会被当作普通对象代理
+            if (isRef(res)) {
+                // 数组通过索引读取时不脱 ref，arr[0] 得到的仍然是 ref，与 arr[0].value 的写法保持一致
+                return Array.isArray(target) && isIntegerKey(key) ? res : res.value;
+            }
             // 如果是对象，我们需要递归代理
             if (
                 typeof res === 'object'
                 && res !== null
-                && !isShallow
             ) {
                 // 如果数据为只读，则调用 readonly 对值进行包装, 不然我们深层只读对象 例如 obj.a.b.c = 1 仍可修改
                 return isReadonly ? readonly(res) : reactive(res);
             }
-            return isRef(res) ? res.value : res;
+            return res;
         },
         set(target, key, newValue, receiver) {
             if (isReadonly) {
@@ -472,9 +736,20 @@ export default function createReactive(obj, isShallow = false, isReadonly = fals
                 return true
             }
             const oldValue = target[key];
+            // 与读取时自动脱 ref 对应，给普通对象中的 ref 属性赋值非 ref 的值时，修改的是 ref.value
+            if (
+                !isShallow
+                && isRef(oldValue)
+                && !isRef(newValue)
+                && !(Array.isArray(target) && isIntegerKey(key))
+            ) {
+                oldValue.value = newValue;
+                return true;
+            }
             // ! 由于我们在添加属性或是修改属性都会触发 set 操作, 所以我们要区分出来
             // ! 如果代理目标是数组，则检测被设置的索引值是否小于数组长度 -> 代理数组功能补充
-            const type = Array.isArray(target) ? Number(key) < target.length ? 'SET' : 'ADD'
+            // length 等非索引属性与普通对象一样，根据是否存在该属性判断
+            const type = Array.isArray(target) && isIntegerKey(key) ? Number(key) < target.length ? 'SET' : 'ADD'
                 : Object.prototype.hasOwnProperty.call(target, key) ? 'SET' : 'ADD';
 
             const res = Reflect.set(target, key, newValue, receiver);
@@ -485,14 +760,14 @@ export default function createReactive(obj, isShallow = false, isReadonly = fals
                 && oldValue !== newValue
                 && (oldValue === oldValue || newValue === newValue)
             ) {
-                trigger(target, key, type, newValue);
+                trigger(target, key, type, newValue, oldValue);
             }
             return res;
         },
 
         // 'key' in obj 触发依赖收集
         has(target, key) {
-            !isReadonly && track(target, key);
+            !isReadonly && track(target, key, trackOpTypes.HAS);
             return Reflect.has(target, key);
         },
 
@@ -510,7 +785,7 @@ export default function createReactive(obj, isShallow = false, isReadonly = fals
          */
         ownKeys(target) {
             // 如果操作目标 target 是数组，则使用 length 属性作为 key 并建立响应联系
-            !isReadonly && track(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            !isReadonly && track(target, Array.isArray(target) ? 'length' : ITERATE_KEY, trackOpTypes.ITERATE);
             return Reflect.ownKeys(target);
         },
 
@@ -522,57 +797,142 @@ export default function createReactive(obj, isShallow = false, isReadonly = fals
             }
             // 检查是否存在该属性 -> 处理原型链响应式收集
             const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+            const oldValue = target[key];
             const res = Reflect.deleteProperty(target, key);
             // 只有在成功删除自身属性时，才触发 trigger
-            res && hadKey && trigger(target, key, 'DELETE');
+            res && hadKey && trigger(target, key, 'DELETE', undefined, oldValue);
             return res;
         }
     });
 }
 
-export function reactive(obj) {
+/**
+ * @description 创建代理对象，四种代理共用的逻辑
+ * @param {Object} obj 原始对象
+ * @param {Boolean} isShallow 是否浅响应
+ * @param {Boolean} isReadonly 是否只读
+ * @param {WeakMap} proxyMap 对应的缓存
+ */
+const createReactiveObject = (obj, isShallow, isReadonly, proxyMap) => {
+    // 原始值、被 markRaw 标记的对象等无法代理，直接返回
+    if (!canProxy(obj)) return obj;
+
+    // obj 已经是代理对象时直接返回，例如 reactive(reactive(obj))
+    // 只有 readonly(reactive(obj)) 例外，它会在响应式代理之上创建一个只读视图，读取时仍然会通过响应式代理收集依赖
+    if (obj[RAW] && !(isReadonly && obj[IS_REACTIVE])) return obj;
+
     // 我们需要一个缓存，避免重复代理
     // const tempObj = {}
     // const arr = reactive([tempObj]);
     // console.log(arr.includes(arr[0])); // true 实现预期效果了
-    const existProxy = reactiveMap.get(obj);
+    const existProxy = proxyMap.get(obj);
     if (existProxy) return existProxy;
 
-    const proxy = createReactive(obj);
-    reactiveMap.set(obj, proxy);
+    const proxy = createReactive(obj, isShallow, isReadonly);
+    proxyMap.set(obj, proxy);
 
     return proxy;
+};
+
+export function reactive(obj) {
+    return createReactiveObject(obj, false, false, reactiveMap);
 }
 
 export function shallowReactive(obj) {
-    const existProxy = reactiveMap.get(obj);
-    if (existProxy) return existProxy;
-
-    const proxy = createReactive(obj, true);
-    reactiveMap.set(obj, proxy);
-    return proxy;
+    return createReactiveObject(obj, true, false, shallowReactiveMap);
 }
 
 export function readonly(obj) {
-    const existProxy = reactiveMap.get(obj);
-    if (existProxy) return existProxy;
-
-    const proxy = createReactive(obj, false, true);
-    reactiveMap.set(obj, proxy);
-    return proxy;
+    return createReactiveObject(obj, false, true, readonlyMap);
 }
 
 export function shallowReadonly(obj) {
-    const existProxy = reactiveMap.get(obj);
-    if (existProxy) return existProxy;
+    return createReactiveObject(obj, true, true, shallowReadonlyMap);
+}
 
-    const proxy = createReactive(obj, true, true);
-    reactiveMap.set(obj, proxy);
-    return proxy;
+/**
+ * @description 判断数据是否可以被代理
+ * * 只有普通对象、数组以及集合类型可以被代理，被 markRaw 标记或不可扩展（例如 Object.freeze）的对象不会被代理
+ */
+const canProxy = (value) => {
+    if (typeof value !== 'object' || value === null) {
+        return false;
+    }
+    if (value[SKIP] || !Object.isExtensible(value)) {
+        return false;
+    }
+    return PROXYABLE_TYPES.includes(Object.prototype.toString.call(value).slice(8, -1));
+};
+
+/**
+ * @description 获取代理对象的原始对象，代理对象可能嵌套（例如 readonly(reactive(obj))），需要递归获取
+ * * 对原始对象的读取与修改都不会收集依赖或触发更新
+ * @param {any} observed 代理对象
+ * @returns 原始对象，不是代理对象时原样返回
+ */
+export function toRaw(observed) {
+    const raw = observed && observed[RAW];
+    return raw ? toRaw(raw) : observed;
+}
+
+/**
+ * @description 标记一个对象，使它永远不会被代理，例如第三方图表实例、DOM 元素以及体积很大的不可变数据
+ * @param {Object} value 需要标记的对象
+ * @returns 对象本身
+ *
+ * @example
+ * const state = reactive({ chart: markRaw(echarts.init(el)) });
+ * isReactive(state.chart); // false
+ */
+export function markRaw(value) {
+    if (Object.isExtensible(value)) {
+        Object.defineProperty(value, SKIP, {
+            value: true,
+            enumerable: false,
+            configurable: true,
+            writable: false
+        });
+    }
+    return value;
+}
+
+/**
+ * @description 判断是否为 reactive、shallowReactive 创建的代理对象
+ * * readonly(reactive(obj)) 同样返回 true
+ */
+export function isReactive(value) {
+    if (isReadonly(value)) {
+        return isReactive(value[RAW]);
+    }
+    return !!(value && value[IS_REACTIVE]);
+}
+
+/**
+ * @description 判断是否为 readonly、shallowReadonly 创建的代理对象
+ */
+export function isReadonly(value) {
+    return !!(value && value[IS_READONLY]);
+}
+
+/**
+ * @description 判断是否为 shallowReactive、shallowReadonly 创建的代理对象
+ */
+export function isShallow(value) {
+    return !!(value && value[IS_SHALLOW]);
+}
+
+/**
+ * @description 判断是否为 reactive、readonly 等函数创建的代理对象
+ */
+export function isProxy(value) {
+    return value ? !!value[RAW] : false;
 }
 
 export {
     effect,
     track,
-    trigger
+    trigger,
+    stop,
+    pauseTracking,
+    resetTracking
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import reactive, { effect, track, trigger, shallowReactive, readonly } from "./observer.js";
+import { reactive, track, trigger, toRaw } from "./observer.js";
 
 export const __isRef = Symbol.for('__isRef');
 
@@ -57,23 +57,136 @@ export function isRef(obj) {
     if (!flag) {
         return false;
     }
-    // 判断是否是 ref 创建的对象
-    return obj.__isRef === true;
+    // 判断是否是 ref 创建的对象，__isRef 是一个 Symbol，不能通过 obj.__isRef 读取
+    return obj[__isRef] === true;
 }
 
-export default function ref(value) {
-    // 在 ref 函数内部创建包裹对象
-    const wrapper = {
-        value
-    }
+// 为包裹对象添加 __isRef 标识
+const markRef = (wrapper) => {
     Object.defineProperty(wrapper, __isRef, {
         value: true,
         enumerable: false,
         configurable: false,
         writable: false
     })
-    // 将包裹对象变成响应式数据
-    return reactive(wrapper);
+    return wrapper;
+}
+
+// 对象类型的值需要转换为响应式数据
+const toReactive = (value) => typeof value === 'object' && value !== null ? reactive(value) : value;
+
+/**
+ * @description 创建 ref 的包裹对象，包裹对象本身是普通对象，只在读取、设置 value 时收集依赖、触发更新
+ * * 因此 isReactive、isProxy 对 ref 返回 false，toRaw 返回 ref 本身
+ * @param {any} rawValue 原始值
+ * @param {Boolean} isShallow 是否是浅层 ref，浅层 ref 不会将 value 转换为响应式数据
+ */
+const createRef = (rawValue, isShallow) => {
+    if (isRef(rawValue)) {
+        return rawValue;
+    }
+    if (!isShallow) {
+        rawValue = toRaw(rawValue);
+    }
+    let value = isShallow ? rawValue : toReactive(rawValue);
+    const wrapper = {
+        get value() {
+            track(wrapper, 'value');
+            return value;
+        },
+        set value(newValue) {
+            // 深层 ref 比较原始值，避免把同一个对象的响应式版本当作新值
+            newValue = isShallow ? newValue : toRaw(newValue);
+            // 使用 Object.is 比较，NaN 与 NaN 视为相同
+            if (Object.is(newValue, rawValue)) {
+                return;
+            }
+            const oldValue = value;
+            rawValue = newValue;
+            value = isShallow ? newValue : toReactive(newValue);
+            trigger(wrapper, 'value', 'SET', value, oldValue);
+        }
+    };
+    return markRef(wrapper);
+}
+
+export default function ref(value) {
+    return createRef(value, false);
+}
+
+/**
+ * @description 浅层 ref，只有 .value 的读取与替换是响应式的，value 本身不会被转换为响应式数据
+ * * 适合存储体积很大的数据或者组件选项，修改 value 内部的属性后可以调用 triggerRef 手动触发更新
+ * @param {any} value
+ *
+ * @example
+ * const state = shallowRef({ count: 1 });
+ * state.value.count = 2; // 不会触发更新
+ * state.value = { count: 2 }; // 触发更新
+ */
+export function shallowRef(value) {
+    return createRef(value, true);
+}
+
+/**
+ * @description 强制触发依赖于 ref 的副作用函数，通常在修改了 shallowRef 内部的属性后调用
+ * @param {Object} ref
+ */
+export function triggerRef(ref) {
+    // 不读取 ref.value，避免在副作用函数中调用时收集依赖，以及执行 customRef 的 get
+    trigger(ref, 'value', 'SET');
+}
+
+/**
+ * @description 创建一个自定义的 ref，由 factory 决定何时收集依赖、何时触发更新，例如实现防抖的 ref
+ * @param {Function} factory 接收 track、trigger 两个函数，返回带有 get、set 的对象
+ *
+ * @example
+ * const useDebouncedRef = (value, delay = 200) => customRef((track, trigger) => {
+ *     let timer;
+ *     return {
+ *         get() {
+ *             track();
+ *             return value;
+ *         },
+ *         set(newValue) {
+ *             clearTimeout(timer);
+ *             timer = setTimeout(() => {
+ *                 value = newValue;
+ *                 trigger();
+ *             }, delay);
+ *         },
+ *     };
+ * });
+ */
+export function customRef(factory) {
+    const wrapper = {};
+    const { get, set } = factory(
+        () => track(wrapper, 'value'),
+        () => trigger(wrapper, 'value', 'SET')
+    );
+    Object.defineProperty(wrapper, 'value', {
+        get,
+        set,
+        enumerable: true,
+        configurable: false
+    });
+    return markRef(wrapper);
+}
+
+/**
+ * @description 如果参数是 ref，返回它的 value，否则返回参数本身
+ */
+export function unref(ref) {
+    return isRef(ref) ? ref.value : ref;
+}
+
+/**
+ * @description 将 ref、getter 函数或普通值统一转换为值，与 unref 相比多了对 getter 的支持
+ * @param {any} source
+ */
+export function toValue(source) {
+    return typeof source === 'function' ? source() : unref(source);
 }
 
 // 单个转化
@@ -86,13 +199,7 @@ export function toRef(obj, key) {
             obj[key] = newValue;
         }
     }
-    Object.defineProperty(wrapper, __isRef, {
-        value: true,
-        enumerable: false,
-        configurable: false,
-        writable: false
-    })
-    return wrapper;
+    return markRef(wrapper);
 }
 
 // 将对象转化为 ref 对象
@@ -1,54 +1,203 @@
-// ### 调度优化
-import reactive, { effect } from './observer.js';
+/**
+ * @file 调度器
+ * * 不使用调度器时，响应式数据每变化一次，副作用函数就会同步执行一次:
+ *   effect(() => console.log(observer.count));
+ *   observer.count++;
+ *   observer.count++;
+ *   console.log('end');
+ *   // => 0 1 2 end
+ * * 组件的渲染函数也是副作用函数，一次点击中连续修改三次数据，就会导致三次重新渲染，但实际上只有最后一次是有意义的
+ * * 所以我们通过 effect 的 scheduler 选项，把副作用函数放入一个去重的任务队列中，在微任务中统一执行:
+ *   effect(() => console.log(observer.count), { scheduler: queueJob });
+ *   // => 0 end 2
+ * * 一次刷新分为三个阶段，watch、组件更新、生命周期钩子共用这三个队列:
+ * * 1. pre 队列: flush 为 'pre' 的 watch 回调，在组件更新之前执行
+ * * 2. 任务队列: 组件的更新任务，父组件先于子组件执行
+ * * 3. post 队列: flush 为 'post' 的 watch 回调以及 mounted、updated 等钩子，此时 DOM 已经完成更新
+ */
+
+// 任务队列，按照任务的 id 从小到大排列
+const queue = [];
+// 正在执行的任务的索引
+let flushIndex = 0;
+// 是否正在刷新队列
+let isFlushing = false;
+// 是否已经安排了刷新，但还没有开始
+let isFlushPending = false;
+
+// 等待执行的 pre 回调
+const pendingPreFlushCbs = [];
+// 等待执行的 post 回调
+const pendingPostFlushCbs = [];
+// 正在执行的 post 回调
+let activePostFlushCbs = null;
+let postFlushIndex = 0;
+
+const resolvedPromise = Promise.resolve();
+// 当前刷新队列对应的 promise，nextTick 通过它等待刷新结束
+let currentFlushPromise = null;
+
+const getId = (job) => job.id ?? Infinity;
 
-const obj = {
-    count: 0
+/**
+ * @description 二分查找任务应该插入的位置，保证队列按照 id 从小到大排列，id 相同时按照加入的顺序排列
+ * * 只在还未执行的部分查找，正在执行的任务之前的位置不会再被访问
+ */
+const findInsertionIndex = (id) => {
+    let start = flushIndex + (isFlushing ? 1 : 0);
+    let end = queue.length;
+    while (start < end) {
+        const middle = (start + end) >>> 1;
+        if (getId(queue[middle]) <= id) {
+            start = middle + 1;
+        } else {
+            end = middle;
+        }
+    }
+    return start;
+};
+
+/**
+ * @description 将任务加入队列，在微任务中统一执行，同一个任务在执行之前只会被加入一次
+ * * 组件的更新任务以组件实例的 uid 作为 id，父组件总是先于子组件创建，所以父组件总是先于子组件更新
+ * * 父组件更新时会更新子组件的 props，子组件的更新任务会在同一次刷新中执行
+ * @param {Function} job 任务，可以通过 job.id 指定执行顺序
+ */
+export const queueJob = (job) => {
+    // 正在执行的任务允许再次加入队列，例如组件在更新时修改了自身依赖的数据
+    const start = isFlushing ? flushIndex + 1 : flushIndex;
+    if (!queue.includes(job, start)) {
+        queue.splice(findInsertionIndex(getId(job)), 0, job);
+        queueFlush();
+    }
 };
 
-const observer = reactive(obj);
+/**
+ * @description 加入 pre 队列，在下一次刷新时、组件更新之前执行
+ * @param {Function} cb 回调
+ */
+export const queuePreFlushCb = (cb) => {
+    if (!pendingPreFlushCbs.includes(cb)) {
+        pendingPreFlushCbs.push(cb);
+    }
+    queueFlush();
+};
 
 /**
- * * 下面结果是 0 1 end
- * ? 但是我们希望在不改变代码前提下, 结果是 0 end 1
- * todo 我们需要一个调度器来解决这个问题
- * * 我们希望 effect 提供一个 可选项，来控制调度行
+ * @description 加入 post 队列，在下一次刷新时、所有组件更新完成之后执行
+ * @param {Function | Array<Function>} cb 回调，可以是一组回调，例如组件的多个 mounted 钩子
  */
-// // effect(() => console.log(observer.count));
-// effect(() => console.log(observer.count), {
-//     scheduler: (fn) => {
-//         setTimeout(fn, 0);
-//     }
-// });
-// observer.count++;
-// console.log('end');
+export const queuePostFlushCb = (cb) => {
+    const cbs = Array.isArray(cb) ? cb : [cb];
+    cbs.forEach(cb => {
+        // 正在执行的 post 回调中还未执行的部分也需要去重
+        const isActive = activePostFlushCbs?.includes(cb, postFlushIndex + 1);
+        if (!isActive && !pendingPostFlushCbs.includes(cb)) {
+            pendingPostFlushCbs.push(cb);
+        }
+    });
+    queueFlush();
+};
+
+/**
+ * @description 将还未执行的任务从队列中移除，例如组件已经卸载，或者已经被父组件同步地更新过了
+ * @param {Function} job 任务
+ */
+export const invalidateJob = (job) => {
+    const index = queue.indexOf(job);
+    if (index > -1 && (!isFlushing || index > flushIndex)) {
+        queue.splice(index, 1);
+    }
+};
+
+const queueFlush = () => {
+    if (!isFlushing && !isFlushPending) {
+        isFlushPending = true;
+        currentFlushPromise = resolvedPromise.then(flushJobs);
+    }
+};
+
+/**
+ * @description 执行任务，某个任务出错时，不影响其他任务的执行
+ * * 任务可以通过 job.onError 指定自己的错误处理，例如组件的更新任务会把错误交给组件的 errorCaptured 与应用的 errorHandler
+ */
+const callJob = (job) => {
+    try {
+        job();
+    } catch (err) {
+        if (job.onError) {
+            job.onError(err);
+        } else {
+            console.error(err);
+        }
+    }
+};
+
+/**
+ * @description 立即执行 pre 队列中的回调
+ * * 父组件更新子组件的 props 时，子组件中 flush 为 'pre' 的 watch 回调需要在子组件更新之前执行
+ */
+export const flushPreFlushCbs = () => {
+    // 回调中可能会加入新的 pre 回调
+    while (pendingPreFlushCbs.length) {
+        const cbs = pendingPreFlushCbs.splice(0);
+        cbs.forEach(callJob);
+    }
+};
+
+/**
+ * @description 立即执行 post 队列中的回调
+ * * render 在同步挂载完成后会调用它，所以初次渲染时 mounted 钩子是同步执行的
+ */
+export const flushPostFlushCbs = () => {
+    if (!pendingPostFlushCbs.length) return;
+    const cbs = pendingPostFlushCbs.splice(0);
+    if (activePostFlushCbs) {
+        // 已经在执行 post 回调了，例如在 mounted 钩子中调用了 render，加入到正在执行的回调之后即可
+        activePostFlushCbs.push(...cbs);
+        return;
+    }
+    activePostFlushCbs = cbs;
+    for (postFlushIndex = 0; postFlushIndex < activePostFlushCbs.length; postFlushIndex++) {
+        callJob(activePostFlushCbs[postFlushIndex]);
+    }
+    activePostFlushCbs = null;
+    postFlushIndex = 0;
+};
 
-// 定义一个任务队列
-const jobQueue = new Set();
-// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
-const p = Promise.resolve();
-// 一个标志代表是否正在刷新队列
-let isFlushing = false;
 const flushJobs = () => {
-    // 如果队列正在刷新，则什么都不做
-    if (isFlushing) return;
-    // 如果没在刷新，则将标志设为 true
+    isFlushPending = false;
     isFlushing = true;
-    // 在微任务队列中刷新 jobQueue 队列
-    p.then(() => {
-        jobQueue.forEach(job => job());
-    }).finally(() => {
+    flushPreFlushCbs();
+    try {
+        // 执行任务的过程中可能会有新的任务加入队列，所以每次都要重新读取队列的长度
+        for (flushIndex = 0; flushIndex < queue.length; flushIndex++) {
+            callJob(queue[flushIndex]);
+        }
+    } finally {
+        flushIndex = 0;
+        queue.length = 0;
+        flushPostFlushCbs();
         isFlushing = false;
-        jobQueue.clear();
-    });
-}
-
-effect(() => console.log(observer.count), {
-    scheduler: (fn) => {
-        jobQueue.add(fn);
-        flushJobs();
+        currentFlushPromise = null;
+        // post 回调中可能修改了数据，产生了新的任务，继续刷新直到所有队列都为空
+        if (queue.length || pendingPreFlushCbs.length || pendingPostFlushCbs.length) {
+            flushJobs();
+        }
     }
-});
+};
 
-observer.count++;
-observer.count++;
-observer.count++;
\ No newline at end of file
+/**
+ * @description 等待下一次刷新队列结束，此时组件都已经完成更新
+ * @param {Function} fn 可选，刷新结束后执行的回调
+ * @returns {Promise}
+ *
+ * @example
+ * count.value++;
+ * await nextTick();
+ * console.log(el.textContent); // 更新后的内容
+ */
+export const nextTick = (fn) => {
+    const p = currentFlushPromise || resolvedPromise;
+    return fn ? p.then(fn) : p;
+};
@@ -1,4 +1,7 @@
-import { effect } from './observer.js'
+import { effect, stop } from './observer.js';
+import { isRef } from './ref.js';
+import { queuePreFlushCb, queuePostFlushCb } from './scheduler.js';
+import { getCurrentScope, handleScopeError } from './effectScope.js';
 /**
  * * 所谓 watch，其本质就是观测一个响应式数据，当数据发生变化时，通知相应的回调函数
  */
@@ -32,74 +35,275 @@ import { effect } from './observer.js'
 //     )
 // }
 
+// 读取 Map、Set 时需要遍历它们的值
+const isCollection = (value) => value instanceof Map || value instanceof Set;
+
+// 除 ref 以外的对象数据源视为响应式对象
+const isObjectSource = (source) => !isRef(source) && typeof source === 'object' && source !== null;
+
+// 与 Object.is 一致，NaN 与 NaN 视为没有变化
+const hasChanged = (value, oldValue) => !Object.is(value, oldValue);
+
+/**
+ * @description 执行 getter 或回调，出错时交给 watch 所在的 scope 处理，例如组件中的 watch 会交给组件的 errorCaptured
+ * @param {Object} scope 创建 watch 时所在的 scope
+ * @param {Function} fn 需要执行的函数
+ * @param {String} info 出错的阶段，'watcher getter' 或 'watcher callback'
+ * @param {Array} args 传递给 fn 的参数
+ */
+const callWithScopeErrorHandling = (scope, fn, info, args = []) => {
+    try {
+        return fn(...args);
+    } catch (err) {
+        handleScopeError(scope, err, info);
+    }
+};
+
+/**
+ * @description 创建 watch 与 watchEffect 共用的副作用函数，并返回用来停止、暂停、恢复侦听的句柄
+ * @param {Function} getter 副作用函数
+ * @param {Function} job 数据变化时需要调度执行的任务
+ * @param {Object} options 选项 { flush, onTrack, onTrigger }
+ * @param {Function} onStop 停止时调用，用来执行过期回调
+ */
+const createWatcher = (getter, job, options, onStop) => {
+    const { flush = 'pre', onTrack, onTrigger } = options;
+    const scope = getCurrentScope();
+
+    // paused 为 true 时，数据变化不会执行 job，只记录下来，等到 resume 时再执行一次
+    let paused = false;
+    let dirtyWhilePaused = false;
+
+    // 暂停之前已经进入队列的任务，执行时同样需要检查是否处于暂停状态
+    const runJob = () => {
+        if (paused) {
+            dirtyWhilePaused = true;
+            return;
+        }
+        job();
+    };
+
+    const scheduler = () => {
+        if (flush === 'post') {
+            // 如果 flush 为 post，把 job 添加到 post 队列中，等待组件更新完成后执行
+            queuePostFlushCb(runJob);
+        } else if (flush === 'sync') {
+            runJob();
+        } else {
+            // 如果 flush 为 pre，把 job 添加到 pre 队列中，在组件更新之前执行
+            queuePreFlushCb(runJob);
+        }
+    };
+
+    // 使用 effect 注册副作用函数时，开启 lazy 选项，并把返回值存储到 effectFn 中以便后续手动调用
+    const effectFn = effect(() => callWithScopeErrorHandling(scope, getter, 'watcher getter'), {
+        lazy: true,
+        onTrack,
+        onTrigger,
+        onStop,
+        // 当数据变化时，执行 scheduler
+        scheduler,
+    });
+
+    // 句柄本身就是 stop 函数，同时挂载 stop、pause、resume 方法
+    const handle = () => stop(effectFn);
+    handle.stop = handle;
+    handle.pause = () => {
+        paused = true;
+    };
+    handle.resume = () => {
+        if (!paused) return;
+        paused = false;
+        if (dirtyWhilePaused) {
+            dirtyWhilePaused = false;
+            scheduler();
+        }
+    };
+
+    return [effectFn, handle];
+};
+
 /**
- * ! 目前缺少 immediate 执行时机
+ * @description 侦听一个或多个数据源，数据变化时执行回调 cb(newVal, oldVal, onCleanup)
+ * * source 可以是 ref、响应式对象、getter 函数，或者由它们组成的数组
+ * * ref 会自动脱 ref，响应式对象默认深度侦听
+ * * flush 决定回调的执行时机，与组件的更新共用同一个调度器:
+ * * 'pre' 默认值，在组件更新之前执行，回调中读取到的是更新前的 DOM
+ * * 'post' 在组件更新之后执行，回调中可以读取到更新后的 DOM
+ * * 'sync' 数据变化时同步执行
+ * * onTrack、onTrigger 为调试钩子，会传递给 watch 内部的副作用函数
+ * @param {Object|Function|Array} source 数据源
+ * @param {Function} cb 回调函数
+ * @param {Object} options 选项
+ * @param {Boolean} options.immediate 是否立即执行一次回调
+ * @param {Boolean|Number} options.deep 是否深度侦听，为数字时代表最多遍历的层数
+ * @param {Boolean} options.once 回调执行一次后自动停止侦听
+ * @param {String} options.flush 回调的执行时机
+ * @returns {Function} 调用即可停止侦听，同时具有 stop、pause、resume 方法
+ *
+ * @example
+ * const { pause, resume, stop } = watch([count, () => obj.foo], ([count, foo], [oldCount, oldFoo]) => {
+ *     console.log(count, foo);
+ * }, { once: true });
  */
-const watch = (source, cb, options = {
-    immediate: false,
-    deep: false,
-    flush: 'post'
-}) => {
-    // 如果 source 是函数，说明用户传递的是 getter，所以直接把 source 赋值给
+const watch = (source, cb, options = {}) => {
+    const { immediate, deep, once } = options;
+
+    // deep 为 true 时不限制层数，为 false 时只侦听第一层
+    const depth = deep === true ? Infinity : deep === false ? 1 : deep;
+    // 响应式对象默认深度侦听
+    const reactiveGetter = (source) => traverse(source, depth ?? Infinity);
+
+    const isMultiSource = Array.isArray(source);
+    // 将单个数据源转换为 getter
+    const toGetter = (source) => {
+        if (isRef(source)) {
+            return () => source.value;
+        } else if (typeof source === 'function') {
+            return source;
+        } else if (typeof source === 'object' && source !== null) {
+            return () => reactiveGetter(source);
+        }
+        console.warn('无效的 watch 数据源', source);
+        return () => undefined;
+    };
+
+    // 将数据源统一转换为 getter，数组中的每一项分别转换
     let getter;
-    if (typeof source === 'function') {
-        getter = source;
+    if (isMultiSource) {
+        const getters = source.map(toGetter);
+        getter = () => getters.map(getter => getter());
     } else {
-        getter = () => traverse(source);
+        getter = toGetter(source);
+    }
+
+    // 对于 ref 与 getter，只有指定了 deep 才需要遍历返回值
+    if (depth && !isMultiSource && (isRef(source) || typeof source === 'function')) {
+        const baseGetter = getter;
+        getter = () => traverse(baseGetter(), depth);
     }
 
     // cleanup 用来存储用户注册的过期回调
     let cleanup;
-    const onInvalidate = (fn) => {
+    const onCleanup = (fn) => {
         cleanup = fn;
-    }
+    };
+    const runCleanup = () => {
+        if (cleanup) {
+            const fn = cleanup;
+            cleanup = null;
+            fn();
+        }
+    };
+
+    // 响应式对象内部的变化不会改变引用，只要触发了就需要执行回调
+    const forceTrigger = depth || (isMultiSource ? source.some(isObjectSource) : isObjectSource(source));
+
+    const scope = getCurrentScope();
 
     // 定义旧值与新值
     let newVal, oldVal;
-    // 使用 effect 注册副作用函数时，开启 lazy 选项，并把返回值存储到 effectFn 中以便后续手动调用
-    // 抽离 scheduler 函数 为独立的函数
-    const job = () => {
+    // 抽离 scheduler 函数 为独立的函数，immediate 时第一次执行总是调用回调
+    const job = (immediateFirstRun = false) => {
+        if (!effectFn.active) return;
         newVal = effectFn();
+        const changed = isMultiSource
+            ? newVal.some((value, i) => hasChanged(value, oldVal?.[i]))
+            : hasChanged(newVal, oldVal);
+        if (!immediateFirstRun && !forceTrigger && !changed) {
+            return;
+        }
         // 在调用回调函数 cb 之前，先调用过期回调
-        cleanup && cleanup();
-        cb(oldVal, newVal, onInvalidate);
+        runCleanup();
+        callWithScopeErrorHandling(scope, cb, 'watcher callback', [newVal, oldVal, onCleanup]);
         oldVal = newVal;
-    }
+        // once 为 true 时，回调执行一次后停止侦听
+        once && handle();
+    };
+
+    const [effectFn, handle] = createWatcher(getter, job, options, runCleanup);
 
-    const effectFn = effect(
-        () => getter(), {
-        lazy: true,
-        // 当数据变化时，执行 scheduler
-        scheduler: () => {
-            if (options.flush === 'post') {
-                // 如果 flush 为 post，把 job 添加到微任务队列中
-                Promise.resolve().then(job);
-            } else {
-                job();
-            }
-        }
-    });
     // 如果 immediate 为 true，立即执行一次回调函数
-    if (options.immediate) {
-        job();
+    if (immediate) {
+        job(true);
     } else {
         oldVal = effectFn(); // effectFn() 会执行 getter() 得到旧值，并收集依赖
     }
-}
 
-const traverse = (value, seen = new Set()) => {
+    return handle;
+};
+
+/**
+ * @description 立即执行副作用函数，并在它依赖的数据变化时重新执行
+ * * 与 watch 不同，不需要指定数据源和回调，副作用函数中读取的数据都会被侦听
+ * @param {Function} fn 副作用函数，接收 onCleanup 用来注册过期回调，在下一次执行前或停止侦听时调用
+ * @param {Object} options 选项 { flush, onTrack, onTrigger }
+ * @returns {Function} 调用即可停止侦听，同时具有 stop、pause、resume 方法
+ *
+ * @example
+ * watchEffect((onCleanup) => {
+ *     const timer = setInterval(() => console.log(count.value), 1000);
+ *     onCleanup(() => clearInterval(timer));
+ * });
+ */
+export const watchEffect = (fn, options = {}) => {
+    let cleanup;
+    const onCleanup = (cleanupFn) => {
+        cleanup = cleanupFn;
+    };
+    const runCleanup = () => {
+        if (cleanup) {
+            const cleanupFn = cleanup;
+            cleanup = null;
+            cleanupFn();
+        }
+    };
+
+    const scope = getCurrentScope();
+    const getter = () => {
+        // 重新执行之前，先调用上一次注册的过期回调
+        runCleanup();
+        return callWithScopeErrorHandling(scope, fn, 'watcher callback', [onCleanup]);
+    };
+    const job = () => {
+        effectFn.active && effectFn();
+    };
+
+    const [effectFn, handle] = createWatcher(getter, job, options, runCleanup);
+    effectFn();
+
+    return handle;
+};
+
+/**
+ * @description 递归读取数据的每一个属性，从而收集所有的依赖
+ * @param {any} value 数据
+ * @param {Number} depth 最多遍历的层数
+ * @param {Set} seen 已经读取过的数据
+ */
+const traverse = (value, depth = Infinity, seen = new Set()) => {
     // 如果要读取的数据是原始值，或者已经被读取过了，那么什么都不做
-    if (typeof value !== 'object' || value === null || seen.has(value)) return;
+    if (depth <= 0 || typeof value !== 'object' || value === null || seen.has(value)) return value;
 
     // 将数据添加到 seen 中，代表遍历地读取过了，避免循环引用引起的死循环
     seen.add(value);
+    depth--;
 
-    // 假设 value 就是一个对象，使用 for...in 读取对象的每一个值，并递归地调用 traverse 进行处理
-    for (const k in value) {
-        traverse(value[k], seen);
+    if (isCollection(value)) {
+        // Map、Set 的值无法通过 for...in 读取，需要通过 forEach 遍历
+        value.forEach(v => {
+            traverse(v, depth, seen);
+        });
+    } else if (isRef(value)) {
+        traverse(value.value, depth, seen);
+    } else {
+        // 假设 value 就是一个对象，使用 for...in 读取对象的每一个值，并递归地调用 traverse 进行处理
+        for (const k in value) {
+            traverse(value[k], depth, seen);
+        }
     }
 
     return value;
 }
 
-export default watch
\ No newline at end of file
+export default watch
@@ -1,4 +1,4 @@
-import { computed, effect, ref } from '@vue/reactivity';
+import { computed, ref } from '@/core/index.js';
 
 import createRenderer, { Text, Comment, Fragment, Teleport } from '@/compiler/index.js';
 
@@ -9,7 +9,7 @@ import { resolveClass, resolveStyle } from '@/utils/style.js';
 import './index.scss';
 
 // 创建一个渲染器函数，基于浏览器环境
-const { render, onMounted, defineAsyncComponent, KeepAlive } = createRenderer({
+const { createApp, onMounted, defineAsyncComponent, KeepAlive } = createRenderer({
     insert: (el, parent, anchor = null) => {
         parent.insertBefore(el, anchor);
     },
@@ -19,14 +19,28 @@ const { render, onMounted, defineAsyncComponent, KeepAlive } = createRenderer({
     setElementText: (el, text) => {
         el.textContent = text;
     },
+    setText: (node, text) => {
+        node.nodeValue = text;
+    },
+    remove: (el) => {
+        el.parentNode?.removeChild(el);
+    },
+    parentNode: (node) => node.parentNode,
+    nextSibling: (node) => node.nextSibling,
+    firstChild: (el) => el.firstChild,
+    nodeType: (node) => ({ 1: 'element', 3: 'text', 8: 'comment' })[node.nodeType],
+    tagName: (el) => el.tagName,
+    textContent: (node) => node.textContent,
+    querySelector: (selector) => document.querySelector(selector),
     patchProps: selfSetAttribute,
     nextFrame: requestAnimationFrame,
+    addClass: (el, className) => el.classList.add(className),
+    removeClass: (el, className) => el.classList.remove(className),
+    whenTransitionEnds: (el, callback) => {
+        el.addEventListener('transitionend', callback, { once: true });
+    },
+    forceReflow: () => document.body.offsetHeight,
 });
-/**
- * @description 根节点
- */
-const ROOT = document.getElementById('root');
-
 const count = ref(0);
 
 const MyComponent = {
@@ -182,6 +196,32 @@ FuncComponent.props = {
     },
 }
 
+// 使用模板的组件, 模板会被编译为渲染函数
+const TemplateComponent = {
+    name: 'TemplateComponent',
+    template: `
+        <div style="margin: 8px 16px;">
+            <button type="button" @click="visible = !visible">toggle list</button>
+            <ul v-if="visible">
+                <li v-for="(todo, index) in todos" :key="todo.id">{{ index + 1 }}. {{ todo.text }}</li>
+            </ul>
+            <p v-else>列表已隐藏</p>
+        </div>
+    `,
+    setup() {
+        const visible = ref(true);
+        const todos = ref([
+            { id: 1, text: 'parse' },
+            { id: 2, text: 'transform' },
+            { id: 3, text: 'generate' },
+        ]);
+        return {
+            visible,
+            todos,
+        };
+    },
+}
+
 const AsyncComponent = () => import('./compiler/test/demo1.js');
 
 const list = ref([
@@ -318,6 +358,10 @@ const vnode = () => ({
                 content: 'this is a function component',
             },
         },
+        {
+            type: TemplateComponent,
+            key: 'the-template-component',
+        },
         {
             type: KeepAlive,
             key: 'the-keep-alive',
@@ -407,6 +451,16 @@ const vnode = () => ({
     ],
 });
 
-effect(() => {
-    render(vnode(), ROOT);
-})
+// 根组件，渲染函数中读取的响应式数据变化时，由组件的渲染副作用重新渲染
+const App = {
+    name: 'App',
+    render: vnode,
+};
+
+const app = createApp(App);
+
+app.config.errorHandler = (err, instance, info) => {
+    console.error(`[${info}]`, err);
+};
+
+app.mount('#root');
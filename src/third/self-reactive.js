@@ -98,9 +98,9 @@ const obj = {
 
 // ### 过期的副作用函数, 我们频繁改动 count 时，有可能第一次的副作用函数还没执行完，就被第二次的副作用函数覆盖了，第二次的请求先完成，第一次的请求后完成，导致得到错误的结果
 // let data;
-// watch(observer, async (ov, nv, onInvalidate) => {
+// watch(observer, async (nv, ov, onCleanup) => {
 //     let expired = false;
-//     onInvalidate(() => {
+//     onCleanup(() => {
 //         expired = true;
 //     });
 //     const res = await new Promise(resolve => setTimeout(() => resolve(nv), 1000));
@@ -1,3 +1,5 @@
+import { ErrorTypes, callWithErrorHandling } from './errorHandling.js';
+
 /**
  * * 为什么不全部使用 setAttribute 可看 vue 设计与分析 8.2 小节 => HTML Attribute 与 DOM Properties 的关系
  * ! HTML Attributes 的作用是设置与之对应的 DOM Properties 的初始值
@@ -6,6 +8,7 @@
  * @param {String} key 属性名
  * @param {String} prevValue 属性值
  * @param {String} nextValue 属性值
+ * @param {Object} parentComponent 元素所属的组件实例，事件处理函数出错时交给它的错误处理
  *
  * @example
  * * 假设我们使用 el[key] = value 或 el.setAttribute(key, value) 来设置属性
@@ -16,7 +19,7 @@
  * * 所以我们的 selfSetAttribute 函数就是为了解决这个问题
  */
 
-export const selfSetAttribute = (el, key, prevValue, nextValue) => {
+export const selfSetAttribute = (el, key, prevValue, nextValue, parentComponent = null) => {
     if (/^on/.test(key)) {
         // 根据属性名称得到对应的事件名称，例如 onClick ---> click
         const invokers = el._vei || (el._vei = {});
@@ -31,16 +34,18 @@ export const selfSetAttribute = (el, key, prevValue, nextValue) => {
                     if (e.timeStamp < invoker.attached) return;
                     // 如果 invoker.value 是数组，则遍历它并逐个调用事件处理函数
                     if (Array.isArray(invoker.value)) {
-                        invoker.value.forEach(fn => fn(e));
+                        invoker.value.forEach(fn => callWithErrorHandling(fn, invoker.instance, ErrorTypes.NATIVE_EVENT_HANDLER, [e]));
                     } else {
-                        invoker.value(e);
+                        callWithErrorHandling(invoker.value, invoker.instance, ErrorTypes.NATIVE_EVENT_HANDLER, [e]);
                     }
                 };
                 invoker.value = nextValue;
+                invoker.instance = parentComponent;
                 invoker.attached = performance.now();
                 el.addEventListener(name, invoker);
             } else {
                 invoker.value = nextValue;
+                invoker.instance = parentComponent;
             }
         } else if (invoker) {
             // 新的事件不存在, 并且 invoker 存在, 则移除事件监听
@@ -74,3 +79,17 @@ export const shouldSetAsProps = (el, key, value) => {
     if (key === "form" && el.tagName === "INPUT") return false;
     return key in el;
 };
+
+/**
+ * @description 不存在子节点的空元素，不需要结束标签
+ */
+export const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+/**
+ * @description 布尔属性，属性存在即代表 true，例如 <button disabled>
+ */
+export const BOOLEAN_ATTRS = [
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer',
+    'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop', 'multiple', 'muted',
+    'nomodule', 'novalidate', 'open', 'readonly', 'required', 'reversed', 'selected',
+];
@@ -0,0 +1,131 @@
+/**
+ * @file 错误处理，setup、渲染函数、事件处理函数、生命周期钩子以及 watch 回调中抛出的错误都会交给 handleError
+ * * handleError 沿着父组件链依次调用 errorCaptured 钩子，钩子返回 false 时停止向上传递
+ * * 没有被拦截的错误最终交给应用的 config.errorHandler，未配置时输出到控制台，不会中断渲染
+ * * 组件中的警告通过 warn 输出，可以由应用的 config.warnHandler 接管
+ */
+
+/**
+ * @description 出错的阶段，作为 errorCaptured 钩子与 errorHandler 的第三个参数 info
+ * * 生命周期钩子的 info 为钩子名称加上 hook，例如 'mounted hook'
+ * @readonly
+ */
+export const ErrorTypes = {
+    SETUP_FUNCTION: 'setup function',
+    RENDER_FUNCTION: 'render function',
+    NATIVE_EVENT_HANDLER: 'native event handler',
+    COMPONENT_EVENT_HANDLER: 'component event handler',
+    WATCH_GETTER: 'watcher getter',
+    WATCH_CALLBACK: 'watcher callback',
+    COMPONENT_UPDATE: 'component update',
+    DIRECTIVE_HOOK: 'directive hook',
+    ERROR_CAPTURED_HOOK: 'errorCaptured hook',
+    APP_ERROR_HANDLER: 'app errorHandler',
+};
+
+/**
+ * @description 处理组件中抛出的错误
+ * @param {Error} err 错误
+ * @param {Object} instance 出错的组件实例，可能为 null，例如事件处理函数不属于任何组件
+ * @param {String} info 出错的阶段
+ */
+export const handleError = (err, instance, info) => {
+    if (instance) {
+        // errorCaptured 钩子从父组件开始调用，第二个参数为出错组件的渲染上下文
+        const exposedInstance = instance.proxy;
+        let current = instance.parent;
+        while (current) {
+            const hooks = current.type.errorCaptured
+                ? [...current.errorCaptured, current.type.errorCaptured]
+                : current.errorCaptured;
+            for (const hook of hooks) {
+                let captured;
+                try {
+                    captured = hook.call(current.proxy, err, exposedInstance, info);
+                } catch (hookErr) {
+                    // errorCaptured 钩子自身出错时，从钩子所在的组件继续向上处理这个新的错误，原来的错误继续传递
+                    handleError(hookErr, current, ErrorTypes.ERROR_CAPTURED_HOOK);
+                }
+                if (captured === false) {
+                    return;
+                }
+            }
+            current = current.parent;
+        }
+
+        // 应用级别的错误处理函数
+        const { errorHandler } = instance.appContext.config;
+        if (errorHandler) {
+            try {
+                errorHandler(err, exposedInstance, info);
+            } catch (handlerErr) {
+                // errorHandler 自身出错时不能再交给它处理，两个错误都输出到控制台
+                logError(handlerErr, ErrorTypes.APP_ERROR_HANDLER);
+                logError(err, info);
+            }
+            return;
+        }
+    }
+    logError(err, info);
+};
+
+const logError = (err, info) => {
+    console.error(`[${info}] 执行时出错:`, err);
+};
+
+/**
+ * @description 执行函数并捕获其中的错误，返回 Promise 时同样会捕获异步的错误
+ * @param {Function} fn 需要执行的函数
+ * @param {Object} instance 函数所属的组件实例
+ * @param {String} info 出错的阶段
+ * @param {Array} args 传递给 fn 的参数
+ * @returns fn 的返回值，出错时返回 undefined
+ */
+export const callWithErrorHandling = (fn, instance, info, args = []) => {
+    try {
+        const res = fn(...args);
+        if (res && typeof res.then === 'function' && typeof res.catch === 'function') {
+            res.catch(err => handleError(err, instance, info));
+        }
+        return res;
+    } catch (err) {
+        handleError(err, instance, info);
+    }
+};
+
+/**
+ * @description 获取组件名，没有 name 的组件显示为 Anonymous
+ * @param {Object} instance 组件实例
+ */
+export const getComponentName = (instance) => instance.type.name || instance.vnode.type.name || 'Anonymous';
+
+/**
+ * @description 生成组件路径，从出错的组件一直到根组件，例如 at <Child> at <App>
+ * @param {Object} instance 组件实例
+ */
+const getComponentTrace = (instance) => {
+    const trace = [];
+    for (let current = instance; current; current = current.parent) {
+        trace.push(`at <${getComponentName(current)}>`);
+    }
+    return trace.join('\n');
+};
+
+/**
+ * @description 输出组件中的警告，配置了 config.warnHandler 时交给它处理
+ * @param {String} msg 警告信息
+ * @param {Object} instance 发出警告的组件实例，可以为 null
+ */
+export const warn = (msg, instance = null) => {
+    if (!instance) {
+        console.warn(msg);
+        return;
+    }
+    const trace = getComponentTrace(instance);
+    const { warnHandler } = instance.appContext.config;
+    if (warnHandler) {
+        warnHandler(msg, instance.proxy, trace);
+    } else {
+        console.warn(`${msg}\n${trace}`);
+    }
+};
@@ -12,6 +12,21 @@ export const notEmpty = something => {
     return something !== null && something !== void 0;
 };
 
+/**
+ * @description 短横线命名转换为驼峰命名，例如 max-count => maxCount
+ */
+export const camelize = str => str.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+
+/**
+ * @description 首字母大写，例如 click => Click
+ */
+export const capitalize = str => str.charAt(0).toUpperCase() + str.slice(1);
+
+/**
+ * @description 驼峰命名转换为短横线命名，例如 maxCount => max-count
+ */
+export const hyphenate = str => str.replace(/\B([A-Z])/g, '-$1').toLowerCase();
+
 /**
  * @description 最长递增子序列，返回最长递增子序列的位置索引
  * @param {Array} originalArray 原始数组
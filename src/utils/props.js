@@ -1,30 +1,184 @@
+import { warn, getComponentName } from './errorHandling.js';
+
+import { hasOwn, camelize, hyphenate } from './index.js';
+
+// 规范化后的 props 选项，以组件的 props 选项为键缓存，避免每次创建组件实例都重新规范化
+const normalizedCache = new WeakMap();
+
+/**
+ * @description 将 props 选项规范化为 { camelKey: { type, default, required, validator } } 的形式
+ * * props: ['title', 'max-count'] => { title: {}, maxCount: {} }
+ * * props: { title: String, size: [Number, String] } => { title: { type: String }, size: { type: [Number, String] } }
+ * @param {Object|Array} propsOptions 组件的 props 选项
+ * @returns {Object}
+ */
+const normalizePropsOptions = (propsOptions) => {
+    if (!propsOptions) {
+        return {};
+    }
+    if (normalizedCache.has(propsOptions)) {
+        return normalizedCache.get(propsOptions);
+    }
+
+    const normalized = {};
+    if (Array.isArray(propsOptions)) {
+        propsOptions.forEach(key => {
+            normalized[camelize(key)] = {};
+        });
+    } else {
+        for (const key in propsOptions) {
+            const option = propsOptions[key];
+            normalized[camelize(key)] = Array.isArray(option) || typeof option === 'function'
+                ? { type: option }
+                : { ...option };
+        }
+    }
+
+    normalizedCache.set(propsOptions, normalized);
+    return normalized;
+};
+
+// 获取构造函数的名称，例如 String => 'String'
+const getTypeName = (type) => type?.name || String(type);
+
+/**
+ * @description type 中第一次出现该类型的位置，不存在时返回 -1
+ */
+const getTypeIndex = (type, expected) => {
+    if (Array.isArray(type)) {
+        return type.indexOf(expected);
+    }
+    return type === expected ? 0 : -1;
+};
+
+/**
+ * @description 判断值是否符合某一个类型
+ * * 原始类型通过 typeof 判断，Object 只接受普通对象，其余类型通过 instanceof 判断
+ * @param {any} value
+ * @param {Function} type 构造函数，null 代表任意类型
+ * @returns {Boolean}
+ */
+const assertType = (value, type) => {
+    if (type === null || type === undefined || type === true) {
+        return true;
+    }
+    const name = getTypeName(type);
+    if (['String', 'Number', 'Boolean', 'Function', 'Symbol', 'BigInt'].includes(name)) {
+        const valueType = typeof value;
+        return valueType === name.toLowerCase() || (valueType === 'object' && value instanceof type);
+    } else if (name === 'Object') {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    } else if (name === 'Array') {
+        return Array.isArray(value);
+    }
+    return value instanceof type;
+};
+
+/**
+ * @description 得到 prop 的最终值，处理默认值与布尔类型的转换
+ * * 布尔类型的 prop 没有传值时为 false，值为空字符串或者与 prop 名称相同时为 true，例如 <comp disabled>、<comp disabled="disabled">
+ * * 同时声明了 String 类型且 String 在 Boolean 之前时，空字符串保留为字符串
+ * @param {Object} option 规范化后的 prop 选项
+ * @param {String} key prop 的名称
+ * @param {any} value 父组件传递的值
+ * @param {Boolean} isAbsent 父组件是否没有传递该 prop
+ */
+const resolvePropValue = (option, key, value, isAbsent) => {
+    const { type } = option;
+
+    // 默认值只在值为 undefined 时生效，Function 类型的默认值就是函数本身，其余类型的函数默认值作为工厂函数调用
+    if (value === undefined && hasOwn(option, 'default')) {
+        const defaultValue = option.default;
+        value = typeof defaultValue === 'function' && getTypeIndex(type, Function) === -1
+            ? defaultValue()
+            : defaultValue;
+    }
+
+    const booleanIndex = getTypeIndex(type, Boolean);
+    if (booleanIndex > -1) {
+        if (isAbsent && !hasOwn(option, 'default')) {
+            value = false;
+        } else if (value === '' || value === hyphenate(key)) {
+            const stringIndex = getTypeIndex(type, String);
+            if (stringIndex === -1 || booleanIndex < stringIndex) {
+                value = true;
+            }
+        }
+    }
+
+    return value;
+};
+
+/**
+ * @description 校验 prop 的值，不合法时只输出警告，不会阻止组件渲染
+ * @param {Object} option 规范化后的 prop 选项
+ * @param {String} key prop 的名称
+ * @param {any} value prop 的最终值
+ * @param {Boolean} isAbsent 父组件是否没有传递该 prop
+ * @param {Object} instance 组件实例，用于在警告中输出组件名
+ */
+const validateProp = (option, key, value, isAbsent, instance) => {
+    const { type, required, validator } = option;
+    const name = instance ? getComponentName(instance) : 'Anonymous';
+
+    if (required && isAbsent) {
+        warn(`组件 <${name}> 缺少必需的 prop: "${key}"`, instance);
+        return;
+    }
+    // 没有传值的可选 prop 不需要校验
+    if ((value === null || value === undefined) && !required) {
+        return;
+    }
+
+    if (type !== undefined && type !== true) {
+        const types = Array.isArray(type) ? type : [type];
+        if (!types.some(t => assertType(value, t))) {
+            const expected = types.map(getTypeName).join(' | ');
+            const received = Object.prototype.toString.call(value).slice(8, -1);
+            warn(`组件 <${name}> 的 prop "${key}" 类型错误，期望 ${expected}，实际为 ${received}`, instance);
+            return;
+        }
+    }
+
+    if (validator && !validator(value)) {
+        warn(`组件 <${name}> 的 prop "${key}" 没有通过自定义校验`, instance);
+    }
+};
+
 /**
  * @description 处理 props 的函数
- * @param {object} propsOptions props 的选项
+ * * props 选项中声明的属性，以及以 on 开头的事件会作为 props，其余属性作为 attrs
+ * * 父组件传递的短横线命名的属性会转换为驼峰命名，例如 max-count => maxCount
+ * * 声明了但是父组件没有传递的 prop 同样会得到默认值，并进行 required、type、validator 校验
+ * @param {object|Array} propsOptions props 的选项
  * @param {object} propsValue props 的值
+ * @param {object} instance 组件实例，用于在警告中输出组件名
  *
  * @returns {Array} 返回一个数组, 第一个元素是 props, 第二个元素是 attrs
  */
-export const resolveProps = (propsOptions, propsValue) => {
+export const resolveProps = (propsOptions, propsValue, instance = null) => {
+    const options = normalizePropsOptions(propsOptions);
     const props = {};
     const attrs = {};
 
-    // 还可处理默认直、类型校验
     for (const key in propsValue) {
-        if (key in propsOptions || key.startsWith('on')) {
-            const propValue = propsOptions[key];
-            const defaultValue =  typeof propValue === 'object' ? propsOptions[key].default : void 0;
-            props[key] =
-                propsValue[key] ?? (typeof defaultValue === "function"
-                    ? defaultValue()
-                    : defaultValue);
-        }
-        else {
+        const camelKey = camelize(key);
+        if (hasOwn(options, camelKey)) {
+            props[camelKey] = propsValue[key];
+        } else if (key.startsWith('on')) {
+            props[key] = propsValue[key];
+        } else {
             // 如果 propsOptions 中没有这个属性，则认为是一个普通属性
             attrs[key] = propsValue[key];
         }
     }
 
+    for (const key in options) {
+        const isAbsent = !hasOwn(props, key);
+        props[key] = resolvePropValue(options[key], key, props[key], isAbsent);
+        validateProp(options[key], key, props[key], isAbsent, instance);
+    }
+
     return [props, attrs];
 };
 
@@ -18,7 +18,7 @@ export const resolveClass = (classValue) => {
             }
             return '';
         });
-        return classList.join(' ');
+        return classList.filter(Boolean).join(' ');
     } else if (typeof classValue === 'object') {
         return Object.keys(classValue).filter((key) => classValue[key]).join(' ');
     }
@@ -28,12 +28,17 @@ export const resolveClass = (classValue) => {
 
 /**
  * @description 针对 style 的处理方式
- * @param {String | Object} style
+ * 1. style="color: red"
+ * 2. :style="{ color: 'red' }"
+ * 3. 模板中静态 style 与动态 style 同时存在时 ['color: red', { fontSize: '12px' }]
+ * @param {String | Object | Array} style
  */
 export const resolveStyle = (styleValue) => {
     if (typeof styleValue === 'string') {
         return styleValue;
-    } else if (typeof styleValue === 'object') {
+    } else if (Array.isArray(styleValue)) {
+        return styleValue.map(resolveStyle).filter(Boolean).join(';');
+    } else if (styleValue && typeof styleValue === 'object') {
         return Object.keys(styleValue).map((key) => {
             // 大写字母转为 - 小写字母
             const k = key.replace(/([A-Z])/g, '-$1').toLowerCase();
@@ -41,4 +46,4 @@ export const resolveStyle = (styleValue) => {
         }).join(';');
     }
     return '';
-}
\ No newline at end of file
+}
\ No newline at end of file